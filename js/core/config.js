@@ -6,7 +6,17 @@ const Config = {
         SCROLL_OFFSET: 100,
         SCROLL_DURATION: 800,
         COUNTER_DURATION: 1500,
-        STAGGER_DELAY: 100
+        // Any Helpers.easing name
+        COUNTER_EASING: 'easeOutQuart',
+        STAGGER_DELAY: 100,
+        FADE_DURATION: 300
+    },
+    
+    // Scroll reveals (data-reveal)
+    REVEAL: {
+        THRESHOLD: 0.15,
+        // Reveal a little after the element's edge comes into view
+        ROOT_MARGIN: '0px 0px -40px 0px'
     },
     
     // API endpoints (if any)
@@ -15,9 +25,107 @@ const Config = {
         ENDPOINTS: {
             CONTACT: '/api/contact',
             APPLICATION: '/api/application'
+        },
+        TIMEOUT: 10000,
+        RETRIES: 2,
+        RETRY_DELAY: 500,
+        QUEUE_KEY: 'requestQueue'
+    },
+    
+    // Analytics settings
+    ANALYTICS: {
+        ENABLED: true,
+        ADAPTER: 'beacon',
+        ENDPOINT: '/api/analytics',
+        BATCH_SIZE: 10,
+        FLUSH_INTERVAL: 10000
+    },
+    
+    // Error reporting
+    ERRORS: {
+        ENABLED: true,
+        // "console" logs reports locally instead of sending them
+        ADAPTER: 'beacon',
+        ENDPOINT: '/api/errors',
+        BATCH_SIZE: 5,
+        FLUSH_INTERVAL: 15000,
+        MAX_BREADCRUMBS: 20,
+        // Stop reporting after this many distinct errors per page view
+        MAX_REPORTS: 50,
+        // Repeats of a reported error within this window are not sent again
+        DEDUPE_WINDOW: 60000,
+        // Minimum time between error toasts
+        TOAST_INTERVAL: 10000,
+        // Script origins (besides our own) whose errors are reported
+        ALLOWED_ORIGINS: []
+    },
+    
+    // Course catalog
+    COURSES: {
+        // Used when the page has no inline <script type="application/json"> catalog
+        URL: 'data/courses.json',
+        INLINE_ID: 'courseData',
+        FILTER_DEBOUNCE: 200,
+        COMPARE_MAX: 3,
+        COMPARE_KEY: 'compareCourses',
+        // Seat facet options (labelKey is an I18n key, max: null means no upper limit)
+        SEAT_RANGES: [
+            { value: '0-60', labelKey: 'courses.filter.seatRanges.small', min: 0, max: 60 },
+            { value: '61-120', labelKey: 'courses.filter.seatRanges.medium', min: 61, max: 120 },
+            { value: '121+', labelKey: 'courses.filter.seatRanges.large', min: 121, max: null }
+        ]
+    },
+    
+    // Overview figures
+    STATS: {
+        URL: 'data/stats.json',
+        // Milliseconds between refreshes; 0 loads once
+        POLL_INTERVAL: 0
+    },
+    
+    // Consent settings
+    CONSENT: {
+        // Bump to ask every visitor again after a policy change
+        VERSION: 1,
+        STORAGE_KEY: 'consent',
+        CATEGORIES: ['necessary', 'analytics', 'personalization'],
+        // Storage keys removed when their category is revoked
+        KEYS: {
+            personalization: ['visited', 'notificationHistory', 'compareCourses', 'locale', 'theme', 'motion', 'notificationsPersist']
+        }
+    },
+    
+    // Languages
+    I18N: {
+        DEFAULT: 'en',
+        STORAGE_KEY: 'locale',
+        // tag sets number formatting and plural rules, dir the text direction
+        LOCALES: {
+            en: { name: 'English', tag: 'en-IN', dir: 'ltr' },
+            mr: { name: 'मराठी', tag: 'mr-IN', dir: 'ltr' },
+            hi: { name: 'हिन्दी', tag: 'hi-IN', dir: 'ltr' }
         }
     },
     
+    // Color themes (the inline script in index.html reads the same key)
+    THEME: {
+        STORAGE_KEY: 'theme',
+        // Toggle order; "system" follows prefers-color-scheme and prefers-contrast
+        CHOICES: ['system', 'light', 'dark', 'high-contrast']
+    },
+    
+    // Motion (the inline script in index.html reads the same key)
+    MOTION: {
+        STORAGE_KEY: 'motion',
+        // "system" follows prefers-reduced-motion
+        CHOICES: ['system', 'reduce', 'full']
+    },
+
+    // Offline support
+    SERVICE_WORKER: {
+        URL: 'service-worker.js'
+    },
+    
     // College information
     COLLEGE: {
         NAME: 'Pune University',
@@ -30,6 +138,28 @@ const Config = {
     // Notification settings
     NOTIFICATION: {
         DURATION: 5000,
+        // Toasts on screen at once; the rest wait in the queue
+        MAX_VISIBLE: 3,
+        // Queue order by type (higher shows first)
+        PRIORITIES: {
+            error: 3,
+            warning: 2,
+            success: 1,
+            info: 0
+        },
+        // Alt+Shift+N focuses the newest notification
+        FOCUS_SHORTCUT: {
+            code: 'KeyN',
+            altKey: true,
+            shiftKey: true,
+            label: 'Alt+Shift+N'
+        },
+        // Footer setting that keeps every notification until it is closed
+        PERSIST_KEY: 'notificationsPersist',
+        // Notification center history
+        HISTORY_KEY: 'notificationHistory',
+        HISTORY_MAX: 50,
+        HISTORY_MAX_AGE: 30 * 24 * 60 * 60 * 1000,
         TYPES: {
             SUCCESS: 'success',
             ERROR: 'error',
@@ -39,6 +169,9 @@ const Config = {
     }
 };
 
+// Register configuration
+ModuleRegistry.register('config', Config);
+
 // Export configuration
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = Config;
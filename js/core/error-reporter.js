@@ -0,0 +1,367 @@
+// Client error reporting
+
+class ErrorReporter {
+    /**
+     * Initialize error reporting
+     */
+    static init() {
+        ErrorReporter.queue = [];
+        ErrorReporter.breadcrumbs = [];
+        ErrorReporter.seen = new Map();
+        ErrorReporter.reportCount = 0;
+        ErrorReporter.lastToast = 0;
+
+        // EventManager forwards window errors and unhandled rejections
+        EventBus.on('app:error', (payload) => {
+            ErrorReporter.handle(payload);
+        });
+
+        ErrorReporter.setupBreadcrumbs();
+        ErrorReporter.setupFlushListeners();
+
+        ErrorReporter.flushTimer = setInterval(() => {
+            ErrorReporter.flush();
+        }, Config.ERRORS.FLUSH_INTERVAL);
+    }
+
+    /**
+     * Handle an error forwarded on the event bus
+     * @param {Object} payload - app:error payload
+     * @param {*} payload.error - Error or rejection reason
+     * @param {string} payload.message - User-facing message
+     * @param {string} payload.eventMessage - Message from the error event, if any
+     * @param {string} payload.source - Script URL from the error event, if any
+     * @param {number} payload.line - Line number, if any
+     * @param {number} payload.column - Column number, if any
+     * @param {string} payload.type - "error" or "unhandledrejection"
+     */
+    static handle(payload = {}) {
+        const record = ErrorReporter.capture(payload.error, {
+            message: payload.eventMessage,
+            source: payload.source,
+            line: payload.line,
+            column: payload.column,
+            type: payload.type
+        });
+
+        // Ignored, or a repeat of something we already told the user about
+        if (!record || record.count > 1) return;
+
+        const now = Date.now();
+        if (now - ErrorReporter.lastToast < Config.ERRORS.TOAST_INTERVAL) return;
+
+        ErrorReporter.lastToast = now;
+        EventBus.emit('error:notify', { message: payload.message, record });
+    }
+
+    /**
+     * Capture an error and queue it for reporting
+     * @param {*} error - Error object, rejection reason or message
+     * @param {Object} context - Extra details (message, source, line, column, type, module)
+     * @returns {Object|null} Error record, or null if the error was ignored
+     */
+    static capture(error, context = {}) {
+        if (!Config.ERRORS.ENABLED) return null;
+
+        const record = ErrorReporter.normalize(error, context);
+
+        if (ErrorReporter.shouldIgnore(record)) return null;
+
+        const now = Date.now();
+        const previous = ErrorReporter.seen.get(record.fingerprint);
+
+        // Repeat: bump the count instead of sending another report
+        if (previous && (previous.queued || now - previous.lastSeen < Config.ERRORS.DEDUPE_WINDOW)) {
+            previous.record.count++;
+            previous.lastSeen = now;
+            return previous.record;
+        }
+
+        if (ErrorReporter.reportCount >= Config.ERRORS.MAX_REPORTS) return null;
+        ErrorReporter.reportCount++;
+
+        ErrorReporter.seen.set(record.fingerprint, { record, lastSeen: now, queued: true });
+        ErrorReporter.queue.push(record);
+
+        EventBus.emit('error:captured', { record });
+
+        if (ErrorReporter.queue.length >= Config.ERRORS.BATCH_SIZE) {
+            ErrorReporter.flush();
+        }
+
+        return record;
+    }
+
+    /**
+     * Turn an error into a structured record
+     * @param {*} error - Error object, rejection reason or message
+     * @param {Object} context - Extra details
+     * @returns {Object} Error record
+     */
+    static normalize(error, context = {}) {
+        const isError = error instanceof Error;
+        const message = isError ? error.message
+            : (typeof error === 'string' ? error : context.message || 'Unknown error');
+        const stack = isError && error.stack ? String(error.stack) : '';
+        const source = context.source || ErrorReporter.getStackSource(stack) || '';
+
+        const record = {
+            id: Helpers.generateId(),
+            type: context.type || 'error',
+            name: isError ? error.name : typeof error,
+            message: String(message).slice(0, 500),
+            stack: stack.slice(0, 4000),
+            source,
+            line: context.line || null,
+            column: context.column || null,
+            module: context.module || ErrorReporter.getModule(source, stack),
+            url: window.location.href,
+            userAgent: navigator.userAgent,
+            timestamp: new Date().toISOString(),
+            breadcrumbs: ErrorReporter.breadcrumbs.slice(),
+            count: 1
+        };
+
+        record.fingerprint = [record.name, record.message, record.source, record.line, record.column].join('|');
+
+        return record;
+    }
+
+    /**
+     * Check whether an error should not be reported
+     * @param {Object} record - Error record
+     * @returns {boolean} True to ignore it
+     */
+    static shouldIgnore(record) {
+        // Browsers hide details of errors from cross-origin scripts
+        if (record.message === 'Script error.' && !record.source) return true;
+
+        if (!record.source) return false;
+
+        const origin = ErrorReporter.getOrigin(record.source);
+        if (!origin || origin === window.location.origin) return false;
+
+        return !Config.ERRORS.ALLOWED_ORIGINS.includes(origin);
+    }
+
+    /**
+     * Get the origin of a URL
+     * @param {string} url - Script URL
+     * @returns {string|null} Origin, or null if the URL cannot be parsed
+     */
+    static getOrigin(url) {
+        try {
+            return new URL(url, window.location.href).origin;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the script URL of the top stack frame
+     * @param {string} stack - Error stack
+     * @returns {string|null} Script URL
+     */
+    static getStackSource(stack) {
+        const match = stack.match(/((?:https?|file):\/\/[^\s)]+?)(?::\d+){1,2}\)?(?:\n|$)/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Work out which module an error came from
+     * @param {string} source - Script URL
+     * @param {string} stack - Error stack
+     * @returns {string|null} Module name, e.g. "counters"
+     */
+    static getModule(source, stack) {
+        const match = `${source}\n${stack}`.match(/js\/(?:modules|core)\/([\w-]+)\.js/);
+        if (match) return match[1];
+
+        return /js\/main\.js/.test(source) ? 'main' : null;
+    }
+
+    /**
+     * Record a user action to attach to later reports
+     * @param {string} category - Breadcrumb category (click, navigation, event, ...)
+     * @param {string} message - Short description
+     * @param {Object} data - Extra details
+     */
+    static addBreadcrumb(category, message, data = {}) {
+        ErrorReporter.breadcrumbs.push({
+            category,
+            message,
+            data,
+            timestamp: new Date().toISOString()
+        });
+
+        if (ErrorReporter.breadcrumbs.length > Config.ERRORS.MAX_BREADCRUMBS) {
+            ErrorReporter.breadcrumbs.shift();
+        }
+    }
+
+    /**
+     * Collect breadcrumbs from clicks, navigation and app events
+     */
+    static setupBreadcrumbs() {
+        document.addEventListener('click', (e) => {
+            const target = e.target.closest('a, button, [role="button"], input, select, label');
+            if (!target) return;
+
+            ErrorReporter.addBreadcrumb('click', ErrorReporter.describe(target));
+        }, true);
+
+        window.addEventListener('hashchange', () => {
+            ErrorReporter.addBreadcrumb('navigation', window.location.hash || '#');
+        });
+
+        // Field values are never recorded
+        document.addEventListener('submit', (e) => {
+            ErrorReporter.addBreadcrumb('form', `submit ${ErrorReporter.describe(e.target)}`);
+        }, true);
+
+        EventBus.on('*', (payload, eventName) => {
+            if (ErrorReporter.ignoredEvents.some(prefix => eventName.startsWith(prefix))) return;
+
+            ErrorReporter.addBreadcrumb('event', eventName, payload && payload.id ? { id: payload.id } : {});
+        });
+    }
+
+    /**
+     * Describe an element for a breadcrumb
+     * @param {HTMLElement} element - Element
+     * @returns {string} Description such as button#id.class "Apply Now"
+     */
+    static describe(element) {
+        let description = element.tagName.toLowerCase();
+
+        if (element.id) {
+            description += `#${element.id}`;
+        } else if (typeof element.className === 'string' && element.className.trim()) {
+            description += `.${element.className.trim().split(/\s+/).slice(0, 2).join('.')}`;
+        }
+
+        // Form fields may hold personal data, so only buttons and links get their text
+        if (!['INPUT', 'SELECT', 'TEXTAREA', 'FORM'].includes(element.tagName)) {
+            const text = element.textContent.trim().replace(/\s+/g, ' ').slice(0, 40);
+            if (text) description += ` "${text}"`;
+        }
+
+        return description;
+    }
+
+    /**
+     * Send queued reports through the adapter (dropped without analytics consent)
+     */
+    static flush() {
+        if (ErrorReporter.queue.length === 0) return;
+
+        const adapter = ErrorReporter.adapters[Config.ERRORS.ADAPTER];
+        if (!adapter) {
+            console.warn(`Error reporting adapter "${Config.ERRORS.ADAPTER}" not found`);
+            return;
+        }
+
+        const reports = ErrorReporter.queue.splice(0, ErrorReporter.queue.length);
+
+        // Later repeats are counted against the dedupe window from now on
+        reports.forEach(record => {
+            const entry = ErrorReporter.seen.get(record.fingerprint);
+            if (entry) entry.queued = false;
+        });
+
+        // Reports carry the user agent and recent interactions
+        if (!Consent.has('analytics')) return;
+
+        try {
+            adapter.send(reports);
+        } catch (error) {
+            console.warn('Error reporting adapter failed:', error);
+        }
+    }
+
+    /**
+     * Flush whenever the page is hidden
+     */
+    static setupFlushListeners() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                ErrorReporter.flush();
+            }
+        });
+
+        window.addEventListener('pagehide', () => {
+            ErrorReporter.flush();
+        });
+    }
+
+    /**
+     * Register a reporting adapter
+     * @param {string} name - Adapter name used in Config.ERRORS.ADAPTER
+     * @param {Object} adapter - Adapter with a send(reports) method
+     */
+    static registerAdapter(name, adapter) {
+        if (typeof adapter.send !== 'function') {
+            console.error(`Error reporting adapter "${name}" must implement send(reports)`);
+            return;
+        }
+
+        ErrorReporter.adapters[name] = adapter;
+    }
+
+    /**
+     * Send anything still queued and stop the flush timer
+     */
+    static destroy() {
+        ErrorReporter.flush();
+        clearInterval(ErrorReporter.flushTimer);
+    }
+}
+
+// Built-in adapters
+ErrorReporter.adapters = {
+    // Sends batches to Config.ERRORS.ENDPOINT without delaying page unload
+    beacon: {
+        send(reports) {
+            const url = Config.API.BASE_URL + Config.ERRORS.ENDPOINT;
+            const body = JSON.stringify({ reports });
+
+            if (navigator.sendBeacon) {
+                const blob = new Blob([body], { type: 'application/json' });
+                if (navigator.sendBeacon(url, blob)) return;
+            }
+
+            fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            }).catch(() => {});
+        }
+    },
+
+    // Logs batches for local development
+    console: {
+        send(reports) {
+            console.log('Error reports:', reports);
+        }
+    }
+};
+
+// Bus events too frequent or too noisy to be useful breadcrumbs
+ErrorReporter.ignoredEvents = ['app:scroll', 'app:error', 'error:', 'notification:hidden'];
+
+ErrorReporter.queue = [];
+ErrorReporter.breadcrumbs = [];
+ErrorReporter.seen = new Map();
+ErrorReporter.reportCount = 0;
+ErrorReporter.lastToast = 0;
+
+// Register error reporter
+ModuleRegistry.register('error-reporter', ErrorReporter, {
+    dependencies: ['config', 'helpers', 'event-bus', 'consent']
+});
+
+// Export error reporter
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ErrorReporter;
+}
\ No newline at end of file
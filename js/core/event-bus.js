@@ -0,0 +1,119 @@
+// Application event bus
+
+class EventBus {
+    /**
+     * Subscribe to an event
+     * @param {string} pattern - Event name such as "section:enter", "section:*" or "*"
+     * @param {Function} callback - Called with (payload, eventName)
+     * @param {Object} options - Listener options
+     * @param {boolean} options.once - Remove the listener after its first call
+     * @returns {Function} Unsubscribe function
+     */
+    static on(pattern, callback, options = {}) {
+        const listener = {
+            pattern,
+            matcher: EventBus.compile(pattern),
+            callback,
+            once: !!options.once
+        };
+
+        EventBus.listeners.push(listener);
+
+        return () => EventBus.remove(listener);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} pattern - Event name or wildcard pattern
+     * @param {Function} callback - Called with (payload, eventName)
+     * @returns {Function} Unsubscribe function
+     */
+    static once(pattern, callback) {
+        return EventBus.on(pattern, callback, { once: true });
+    }
+
+    /**
+     * Unsubscribe a callback from an event pattern
+     * @param {string} pattern - Pattern it was subscribed with
+     * @param {Function} callback - Subscribed callback
+     */
+    static off(pattern, callback) {
+        EventBus.listeners
+            .filter(listener => listener.pattern === pattern && listener.callback === callback)
+            .forEach(listener => EventBus.remove(listener));
+    }
+
+    /**
+     * Emit an event
+     * @param {string} eventName - Namespaced event name, e.g. "counter:complete"
+     * @param {*} payload - Event data
+     */
+    static emit(eventName, payload = {}) {
+        // Copy so listeners can unsubscribe while we iterate
+        const listeners = EventBus.listeners.filter(listener => listener.matcher(eventName));
+
+        listeners.forEach(listener => {
+            if (listener.once) {
+                EventBus.remove(listener);
+            }
+
+            try {
+                listener.callback(payload, eventName);
+            } catch (error) {
+                console.error(`Event listener for "${eventName}" failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Build a matcher for an event pattern
+     * @param {string} pattern - Event name, "namespace:*" or "*"
+     * @returns {Function} (eventName) => boolean
+     */
+    static compile(pattern) {
+        if (pattern === '*') {
+            return () => true;
+        }
+
+        if (!pattern.includes('*')) {
+            return eventName => eventName === pattern;
+        }
+
+        // "*" matches a single segment between colons
+        const source = pattern
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('[^:]+');
+        const regex = new RegExp(`^${source}$`);
+
+        return eventName => regex.test(eventName);
+    }
+
+    /**
+     * Remove a listener record
+     * @param {Object} listener - Listener record
+     */
+    static remove(listener) {
+        const index = EventBus.listeners.indexOf(listener);
+        if (index !== -1) {
+            EventBus.listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Remove every listener
+     */
+    static clear() {
+        EventBus.listeners = [];
+    }
+}
+
+EventBus.listeners = [];
+
+// Register event bus
+ModuleRegistry.register('event-bus', EventBus);
+
+// Export event bus
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventBus;
+}
\ No newline at end of file
@@ -2,63 +2,20 @@
 
 class EventManager {
     constructor() {
-        this.modules = new Map();
         this.events = new Map();
+        this.subscriptions = [];
     }
 
     /**
-     * Initialize all modules
+     * Initialize global event handling
      */
     init() {
-        this.initializeModules();
         this.setupEventListeners();
         this.setupResizeHandler();
         this.setupScrollHandler();
-    }
-
-    /**
-     * Initialize all registered modules
-     */
-    initializeModules() {
-        // Find all elements with data-module attribute
-        const moduleElements = document.querySelectorAll('[data-module]');
         
-        moduleElements.forEach(element => {
-            const moduleNames = element.dataset.module.split(' ');
-            
-            moduleNames.forEach(moduleName => {
-                this.initializeModule(moduleName, element);
-            });
-        });
-    }
-
-    /**
-     * Initialize a specific module
-     * @param {string} moduleName - Name of the module
-     * @param {HTMLElement} element - Element to initialize module on
-     */
-    initializeModule(moduleName, element) {
-        // Map module names to their initialization functions
-        const moduleMap = {
-            'smooth-scroll': SmoothScroll.init,
-            'animations': Animations.init,
-            'navbar': Navbar.init,
-            'notifications': Notifications.init,
-            'counters': Counters.init
-        };
-
-        if (moduleMap[moduleName]) {
-            if (!this.modules.has(moduleName)) {
-                this.modules.set(moduleName, new Set());
-            }
-            
-            moduleMap[moduleName](element);
-            this.modules.get(moduleName).add(element);
-            
-            console.log(`Module "${moduleName}" initialized on`, element);
-        } else {
-            console.warn(`Module "${moduleName}" not found`);
-        }
+        // The registry initializes modules once the DOM is ready
+        this.onDOMContentLoaded();
     }
 
     /**
@@ -70,11 +27,6 @@ class EventManager {
             this.onWindowLoad();
         });
 
-        // DOM content loaded event
-        document.addEventListener('DOMContentLoaded', () => {
-            this.onDOMContentLoaded();
-        });
-
         // Before unload event
         window.addEventListener('beforeunload', () => {
             this.onBeforeUnload();
@@ -92,27 +44,25 @@ class EventManager {
     }
 
     /**
-     * Setup resize handler with debouncing
+     * Setup resize handler on the scroll scheduler's resize frames
      */
     setupResizeHandler() {
-        const handleResize = Helpers.debounce(() => {
-            this.onResize();
-        }, 250);
-
-        window.addEventListener('resize', handleResize);
-        this.events.set('resize', handleResize);
+        this.subscriptions.push(ScrollScheduler.subscribe({
+            write: state => {
+                if (state.resized) {
+                    this.onResize();
+                }
+            }
+        }));
     }
 
     /**
-     * Setup scroll handler with throttling
+     * Setup scroll handler, once per frame through the scroll scheduler
      */
     setupScrollHandler() {
-        const handleScroll = Helpers.throttle(() => {
-            this.onScroll();
-        }, 100);
-
-        window.addEventListener('scroll', handleScroll);
-        this.events.set('scroll', handleScroll);
+        this.subscriptions.push(ScrollScheduler.subscribe({
+            write: state => this.onScroll(state)
+        }));
     }
 
     /**
@@ -121,13 +71,8 @@ class EventManager {
     onWindowLoad() {
         console.log('Window loaded');
         
-        // Trigger animations after page is fully loaded
-        setTimeout(() => {
-            Animations.handleScrollAnimations();
-        }, 500);
-
-        // Update statistics
-        Counters.animateAll();
+        // Images may have moved things around, so re-measure
+        ScrollScheduler.schedule(true);
     }
 
     /**
@@ -157,22 +102,20 @@ class EventManager {
         document.body.classList.remove('device-mobile', 'device-tablet', 'device-desktop');
         document.body.classList.add(`device-${deviceType}`);
         
-        // Re-initialize modules if needed
-        this.handleResponsiveModules();
+        // Let modules re-check their layout
+        EventBus.emit('app:resize', { deviceType });
     }
 
     /**
      * Window scroll handler
+     * @param {Object} state - Scroll state from the scroll scheduler
      */
-    onScroll() {
-        // Handle scroll animations
-        Animations.handleScrollAnimations();
-        
-        // Handle navbar scroll effect
-        Navbar.handleScroll();
+    onScroll(state) {
+        // Kept for listeners outside the page's modules, which use ScrollScheduler
+        EventBus.emit('app:scroll', { scrollY: state.scrollY });
         
         // Handle scroll to top button visibility
-        this.handleScrollToTop();
+        this.handleScrollToTop(state.scrollY);
     }
 
     /**
@@ -189,11 +132,16 @@ class EventManager {
     onError(event) {
         console.error('Error:', event.error);
         
-        // Show user-friendly error message
-        Notifications.show(
-            'An error occurred. Please try again later.',
-            Config.NOTIFICATION.TYPES.ERROR
-        );
+        // ErrorReporter records it and decides whether to show a toast
+        EventBus.emit('app:error', {
+            type: 'error',
+            error: event.error,
+            eventMessage: event.message,
+            source: event.filename,
+            line: event.lineno,
+            column: event.colno,
+            message: I18n.t('errors.generic')
+        });
     }
 
     /**
@@ -202,24 +150,11 @@ class EventManager {
     onUnhandledRejection(event) {
         console.error('Unhandled promise rejection:', event.reason);
         
-        // Show user-friendly error message
-        Notifications.show(
-            'Something went wrong. Please try again.',
-            Config.NOTIFICATION.TYPES.ERROR
-        );
-    }
-
-    /**
-     * Handle responsive modules
-     */
-    handleResponsiveModules() {
-        // Reinitialize modules that need to respond to resize
-        this.modules.forEach((elements, moduleName) => {
-            if (moduleName === 'animations') {
-                elements.forEach(element => {
-                    Animations.handleScrollAnimations();
-                });
-            }
+        // ErrorReporter records it and decides whether to show a toast
+        EventBus.emit('app:error', {
+            type: 'unhandledrejection',
+            error: event.reason,
+            message: I18n.t('errors.unexpected')
         });
     }
 
@@ -233,19 +168,20 @@ class EventManager {
         scrollButton.addEventListener('click', () => {
             window.scrollTo({
                 top: 0,
-                behavior: 'smooth'
+                behavior: Motion.getScrollBehavior()
             });
         });
     }
 
     /**
      * Handle scroll to top button visibility
+     * @param {number} scrollY - Scroll position
      */
-    handleScrollToTop() {
+    handleScrollToTop(scrollY = window.pageYOffset) {
         const scrollButton = document.getElementById('scrollToTop');
         if (!scrollButton) return;
 
-        if (window.scrollY > 300) {
+        if (scrollY > 300) {
             scrollButton.style.display = 'flex';
         } else {
             scrollButton.style.display = 'none';
@@ -256,35 +192,21 @@ class EventManager {
      * Initialize forms
      */
     initForms() {
-        const forms = document.querySelectorAll('form');
+        // Forms with a data-module are handled by their module
+        const forms = document.querySelectorAll('form:not([data-module])');
         
         forms.forEach(form => {
+            // Validate fields on blur using their data-validate rules
+            FormValidator.attach(form);
+            
             form.addEventListener('submit', (e) => {
                 e.preventDefault();
                 
-                // Simple form validation
-                const inputs = form.querySelectorAll('input[required], textarea[required], select[required]');
-                let isValid = true;
-                
-                inputs.forEach(input => {
-                    if (!input.value.trim()) {
-                        isValid = false;
-                        input.classList.add('is-invalid');
-                    } else {
-                        input.classList.remove('is-invalid');
-                    }
-                });
-                
-                if (isValid) {
-                    // In a real application, submit the form data to a server
-                    Notifications.show(
-                        'Form submitted successfully! We will contact you soon.',
-                        Config.NOTIFICATION.TYPES.SUCCESS
-                    );
-                    form.reset();
+                if (FormValidator.validate(form)) {
+                    this.submitForm(form);
                 } else {
                     Notifications.show(
-                        'Please fill in all required fields.',
+                        I18n.t('forms.invalid'),
                         Config.NOTIFICATION.TYPES.ERROR
                     );
                 }
@@ -292,22 +214,72 @@ class EventManager {
         });
     }
 
+    /**
+     * Submit a form to its endpoint, queueing it while offline
+     * @param {HTMLFormElement} form - Form to submit
+     */
+    async submitForm(form) {
+        const endpoint = form.dataset.endpoint || Config.API.ENDPOINTS.CONTACT;
+        const label = form.dataset.label || 'enquiry';
+        const labelText = I18n.t(`forms.labels.${label}`, { defaultValue: label });
+        const submitButton = form.querySelector('[type="submit"]');
+        
+        // Collect form data
+        const data = {};
+        new FormData(form).forEach((value, key) => {
+            data[key] = typeof value === 'string' ? value.trim() : value;
+        });
+        
+        // Offline: queue until the connection is back
+        if (!navigator.onLine) {
+            HttpClient.enqueue(endpoint, { method: 'POST', body: data }, label);
+            Notifications.info(I18n.t('forms.queuedOffline', { label: labelText }));
+            EventBus.emit('form:queued', { form, label, data });
+            form.reset();
+            return;
+        }
+        
+        if (submitButton) submitButton.disabled = true;
+        
+        try {
+            const result = await HttpClient.post(endpoint, data);
+            
+            Notifications.success(
+                (result && result.message) || I18n.t('forms.thanks')
+            );
+            EventBus.emit('form:submitted', { form, label, data, result });
+            form.reset();
+            FormValidator.reset(form);
+        } catch (error) {
+            if (error instanceof HttpError && error.isNetworkError) {
+                HttpClient.enqueue(endpoint, { method: 'POST', body: data }, label);
+                Notifications.warning(I18n.t('forms.queuedNetwork', { label: labelText }));
+                EventBus.emit('form:queued', { form, label, data });
+                form.reset();
+            } else {
+                Notifications.error(error.message);
+            }
+        } finally {
+            if (submitButton) submitButton.disabled = false;
+        }
+    }
+
     /**
      * Initialize apply buttons
      */
     initApplyButtons() {
-        const applyButtons = document.querySelectorAll('.apply-btn, .hero-apply-btn, .btn-apply-footer');
+        const applyButtons = document.querySelectorAll('[data-apply]');
         
         applyButtons.forEach(button => {
-            // If it's a link to #apply, let smooth scrolling handle it
-            if (button.getAttribute('href') === '#apply') {
-                return;
-            }
-            
             button.addEventListener('click', (e) => {
                 e.preventDefault();
                 
-                // Scroll to apply section
+                // Open the application wizard, pre-set to a specialization if given
+                if (ApplicationWizard.open({ specialization: button.dataset.apply })) {
+                    return;
+                }
+                
+                // Wizard unavailable: fall back to the apply section
                 const applySection = document.getElementById('apply');
                 if (applySection) {
                     Helpers.scrollTo(applySection, {
@@ -315,14 +287,13 @@ class EventManager {
                         duration: 800
                     });
                     
-                    // Show a confirmation message
                     Notifications.show(
-                        'Application form will be available soon. Please check back later or contact admissions office.',
+                        I18n.t('apply.unavailable'),
                         Config.NOTIFICATION.TYPES.INFO
                     );
                 } else {
                     Notifications.show(
-                        'Thank you for your interest! Our admissions team will contact you soon.',
+                        I18n.t('apply.thanks'),
                         Config.NOTIFICATION.TYPES.SUCCESS
                     );
                 }
@@ -339,18 +310,19 @@ class EventManager {
             window.removeEventListener(eventName, handler);
         });
         
-        // Clear modules
-        this.modules.clear();
         this.events.clear();
+        
+        // Leave the scroll scheduler
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions = [];
     }
 }
 
-// Initialize event manager when DOM is ready
-let eventManager;
+// Register event manager once all modules it drives are ready
+const eventManager = new EventManager();
 
-document.addEventListener('DOMContentLoaded', () => {
-    eventManager = new EventManager();
-    eventManager.init();
+ModuleRegistry.register('events', eventManager, {
+    dependencies: ['config', 'helpers', 'event-bus', 'i18n', 'motion', 'scroll-scheduler', 'http', 'validation', 'animations', 'notifications', 'counters', 'application']
 });
 
 // Export event manager
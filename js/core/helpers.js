@@ -184,6 +184,11 @@ class Helpers {
         const distance = targetPosition - startPosition - finalOptions.offset;
         let startTime = null;
 
+        if (!Motion.duration(finalOptions.duration)) {
+            window.scrollTo({ top: startPosition + distance, behavior: 'instant' });
+            return;
+        }
+
         function animation(currentTime) {
             if (startTime === null) startTime = currentTime;
             const timeElapsed = currentTime - startTime;
@@ -221,6 +226,9 @@ class Helpers {
     }
 }
 
+// Register helpers
+ModuleRegistry.register('helpers', Helpers);
+
 // Export helpers
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = Helpers;
@@ -0,0 +1,294 @@
+// HTTP client with retries and an offline queue
+
+class HttpError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} status - HTTP status (0 for network errors and timeouts)
+     * @param {*} data - Parsed response body, if any
+     * @param {string} code - Error code (http, network, timeout)
+     */
+    constructor(message, status = 0, data = null, code = 'http') {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.data = data;
+        this.code = code;
+    }
+
+    /**
+     * Whether the request never reached the server
+     * @returns {boolean} True for network errors and timeouts
+     */
+    get isNetworkError() {
+        return this.code === 'network' || this.code === 'timeout';
+    }
+}
+
+class HttpClient {
+    /**
+     * Initialize HTTP client
+     */
+    static init() {
+        HttpClient.flushing = false;
+    }
+
+    /**
+     * Build a full URL from an endpoint
+     * @param {string} endpoint - Endpoint path or absolute URL
+     * @returns {string} Request URL
+     */
+    static buildUrl(endpoint) {
+        if (/^https?:\/\//.test(endpoint)) return endpoint;
+        return Config.API.BASE_URL + endpoint;
+    }
+
+    /**
+     * Send a request, retrying transient failures with backoff
+     * @param {string} endpoint - Endpoint path or absolute URL
+     * @param {Object} options - Request options
+     * @param {string} options.method - HTTP method
+     * @param {*} options.body - Request body (sent as JSON)
+     * @param {Object} options.headers - Extra headers
+     * @param {number} options.timeout - Timeout per attempt in milliseconds
+     * @param {number} options.retries - Number of retries after the first attempt
+     * @returns {Promise<*>} Parsed response body
+     */
+    static async request(endpoint, options = {}) {
+        const {
+            retries = Config.API.RETRIES,
+            ...requestOptions
+        } = options;
+
+        const url = HttpClient.buildUrl(endpoint);
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await HttpClient.send(url, requestOptions);
+            } catch (error) {
+                if (attempt >= retries || !HttpClient.isRetryable(error)) {
+                    throw error;
+                }
+
+                await HttpClient.wait(HttpClient.getBackoff(attempt));
+            }
+        }
+    }
+
+    /**
+     * Send a single request attempt
+     * @param {string} url - Request URL
+     * @param {Object} options - Request options
+     * @returns {Promise<*>} Parsed response body
+     */
+    static async send(url, options = {}) {
+        const {
+            method = 'GET',
+            body,
+            headers = {},
+            timeout = Config.API.TIMEOUT
+        } = options;
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        let response;
+
+        try {
+            response = await fetch(url, {
+                method,
+                headers: {
+                    'Accept': 'application/json',
+                    ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                    ...headers
+                },
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new HttpError('The request timed out.', 0, null, 'timeout');
+            }
+            throw new HttpError('Could not reach the server.', 0, null, 'network');
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const data = await HttpClient.parseBody(response);
+
+        if (!response.ok) {
+            const message = (data && (data.message || data.error)) ||
+                `Request failed with status ${response.status}`;
+            throw new HttpError(message, response.status, data);
+        }
+
+        return data;
+    }
+
+    /**
+     * Parse a response body as JSON, falling back to text
+     * @param {Response} response - Fetch response
+     * @returns {Promise<*>} Parsed body or null if empty
+     */
+    static async parseBody(response) {
+        const text = await response.text();
+        if (!text) return null;
+
+        const contentType = response.headers.get('Content-Type') || '';
+        if (contentType.includes('json')) {
+            return Helpers.parseJSON(text, null);
+        }
+
+        return text;
+    }
+
+    /**
+     * Check whether a failed request is worth retrying
+     * @param {Error} error - Request error
+     * @returns {boolean} True for network errors, timeouts, 408, 429 and 5xx
+     */
+    static isRetryable(error) {
+        if (!(error instanceof HttpError)) return false;
+        if (error.isNetworkError) return true;
+        return error.status === 408 || error.status === 429 || error.status >= 500;
+    }
+
+    /**
+     * Get the delay before a retry
+     * @param {number} attempt - Zero-based attempt number
+     * @returns {number} Delay in milliseconds
+     */
+    static getBackoff(attempt) {
+        const jitter = Math.random() * 100;
+        return Config.API.RETRY_DELAY * Math.pow(2, attempt) + jitter;
+    }
+
+    /**
+     * Wait for a number of milliseconds
+     * @param {number} ms - Milliseconds to wait
+     * @returns {Promise} Resolves after the delay
+     */
+    static wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Send a GET request
+     * @param {string} endpoint - Endpoint path or absolute URL
+     * @param {Object} options - Request options
+     * @returns {Promise<*>} Parsed response body
+     */
+    static get(endpoint, options = {}) {
+        return HttpClient.request(endpoint, { ...options, method: 'GET' });
+    }
+
+    /**
+     * Send a JSON POST request
+     * @param {string} endpoint - Endpoint path or absolute URL
+     * @param {*} body - Request body
+     * @param {Object} options - Request options
+     * @returns {Promise<*>} Parsed response body
+     */
+    static post(endpoint, body, options = {}) {
+        return HttpClient.request(endpoint, { ...options, method: 'POST', body });
+    }
+
+    /**
+     * Get queued requests
+     * @returns {Array<Object>} Queued requests
+     */
+    static getQueue() {
+        return Helpers.parseJSON(localStorage.getItem(Config.API.QUEUE_KEY), []) || [];
+    }
+
+    /**
+     * Save queued requests
+     * @param {Array<Object>} queue - Queued requests
+     */
+    static saveQueue(queue) {
+        if (queue.length === 0) {
+            localStorage.removeItem(Config.API.QUEUE_KEY);
+        } else {
+            localStorage.setItem(Config.API.QUEUE_KEY, JSON.stringify(queue));
+        }
+    }
+
+    /**
+     * Remove a request from the queue
+     * @param {string} id - Queued request id
+     */
+    static removeFromQueue(id) {
+        HttpClient.saveQueue(HttpClient.getQueue().filter(queued => queued.id !== id));
+    }
+
+    /**
+     * Queue a request to be sent when the connection is back
+     * @param {string} endpoint - Endpoint path or absolute URL
+     * @param {Object} options - Request options
+     * @param {string} label - Human-readable name, e.g. "enquiry"
+     * @returns {Object} Queued request
+     */
+    static enqueue(endpoint, options = {}, label = 'request') {
+        const item = {
+            id: Helpers.generateId(),
+            endpoint,
+            method: options.method || 'POST',
+            body: options.body,
+            label,
+            queuedAt: Date.now()
+        };
+
+        const queue = HttpClient.getQueue();
+        queue.push(item);
+        HttpClient.saveQueue(queue);
+
+        return item;
+    }
+
+    /**
+     * Replay queued requests in order
+     * @returns {Promise<Object>} Sent and failed requests
+     */
+    static async flushQueue() {
+        const result = { sent: [], failed: [] };
+        if (HttpClient.flushing) return result;
+
+        HttpClient.flushing = true;
+
+        try {
+            // Storage is re-read each time: enqueue() may add items while a request is in flight
+            let item;
+            while ((item = HttpClient.getQueue()[0])) {
+                try {
+                    const data = await HttpClient.request(item.endpoint, {
+                        method: item.method,
+                        body: item.body
+                    });
+                    result.sent.push({ item, data });
+                } catch (error) {
+                    // Still offline: keep the rest for the next attempt
+                    if (error instanceof HttpError && error.isNetworkError) break;
+
+                    result.failed.push({ item, error });
+                }
+
+                HttpClient.removeFromQueue(item.id);
+            }
+        } finally {
+            HttpClient.flushing = false;
+        }
+
+        return result;
+    }
+}
+
+HttpClient.flushing = false;
+
+// Register HTTP client
+ModuleRegistry.register('http', HttpClient, {
+    dependencies: ['config', 'helpers']
+});
+
+// Export HTTP client
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HttpClient, HttpError };
+}
\ No newline at end of file
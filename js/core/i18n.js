@@ -0,0 +1,297 @@
+// I18n Module
+
+class I18n {
+    /**
+     * Pick the locale and translate the page
+     */
+    static init() {
+        I18n.locale = I18n.getInitialLocale();
+        I18n.chosen = false;
+        I18n.originals = new WeakMap();
+        I18n.apply();
+
+        // Revoking consent removes the stored choice (Config.CONSENT.KEYS); granting it stores this one
+        EventBus.on('consent:change', () => {
+            if (Consent.has('personalization')) {
+                I18n.save();
+            }
+        });
+    }
+
+    /**
+     * Turn a select into the locale switcher
+     * @param {HTMLSelectElement} select - Switcher element
+     */
+    static mount(select) {
+        const { LOCALES } = Config.I18N;
+
+        select.innerHTML = '';
+        Object.keys(LOCALES).forEach(code => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.lang = code;
+            option.textContent = LOCALES[code].name;
+            select.appendChild(option);
+        });
+
+        select.value = I18n.locale;
+
+        select.addEventListener('change', () => {
+            I18n.setLocale(select.value);
+        });
+
+        EventBus.on('locale:change', ({ locale }) => {
+            select.value = locale;
+        });
+    }
+
+    /**
+     * Switch the page to another locale and remember the choice
+     * @param {string} locale - Locale code, e.g. "mr"
+     * @returns {boolean} True if the locale changed
+     */
+    static setLocale(locale) {
+        if (!Config.I18N.LOCALES[locale] || locale === I18n.locale) return false;
+
+        const previous = I18n.locale;
+        I18n.locale = locale;
+        I18n.chosen = true;
+        I18n.save();
+
+        I18n.apply();
+
+        EventBus.emit('locale:change', { locale, previous });
+        return true;
+    }
+
+    /**
+     * Save a picked locale (it only lasts for this page without consent)
+     */
+    static save() {
+        // A browser-detected locale is not stored, so it keeps following the browser
+        if (!I18n.chosen || !Consent.has('personalization')) return;
+
+        localStorage.setItem(Config.I18N.STORAGE_KEY, I18n.locale);
+    }
+
+    /**
+     * Get the saved, browser or default locale
+     * @returns {string} Locale code
+     */
+    static getInitialLocale() {
+        const { LOCALES, DEFAULT, STORAGE_KEY } = Config.I18N;
+
+        const saved = localStorage.getItem(STORAGE_KEY);
+        if (saved && LOCALES[saved]) return saved;
+
+        // "mr-IN" and "mr" both pick Marathi
+        const preferred = (navigator.languages || [navigator.language])
+            .filter(Boolean)
+            .map(language => language.toLowerCase().split('-')[0])
+            .find(code => LOCALES[code]);
+
+        return preferred || DEFAULT;
+    }
+
+    /**
+     * Set lang/dir on <html> and translate marked markup
+     */
+    static apply() {
+        const root = document.documentElement;
+        root.lang = I18n.locale;
+        root.dir = I18n.getLocale().dir || 'ltr';
+
+        I18n.translate(document);
+    }
+
+    /**
+     * Translate elements marked with data-i18n (text) and
+     * data-i18n-attr ("attribute:key" pairs separated by commas)
+     * @param {HTMLElement|Document} root - Element to translate inside
+     */
+    static translate(root = document) {
+        const elements = root.querySelectorAll('[data-i18n], [data-i18n-attr]');
+
+        elements.forEach(element => {
+            const originals = I18n.getOriginals(element);
+
+            if (element.dataset.i18n) {
+                element.textContent = I18n.t(element.dataset.i18n, { defaultValue: originals.text });
+            }
+
+            if (element.dataset.i18nAttr) {
+                I18n.parseAttributes(element.dataset.i18nAttr).forEach(([attribute, key]) => {
+                    element.setAttribute(attribute, I18n.t(key, { defaultValue: originals[attribute] }));
+                });
+            }
+        });
+    }
+
+    /**
+     * Remember the markup's own text so untranslated keys keep it
+     * @param {HTMLElement} element - Marked element
+     * @returns {Object} Original text and attribute values
+     */
+    static getOriginals(element) {
+        if (I18n.originals.has(element)) {
+            return I18n.originals.get(element);
+        }
+
+        const originals = { text: element.textContent.trim() };
+        if (element.dataset.i18nAttr) {
+            I18n.parseAttributes(element.dataset.i18nAttr).forEach(([attribute]) => {
+                originals[attribute] = element.getAttribute(attribute);
+            });
+        }
+
+        I18n.originals.set(element, originals);
+        return originals;
+    }
+
+    /**
+     * Parse a data-i18n-attr value
+     * @param {string} value - e.g. "placeholder:filter.search, aria-label:filter.label"
+     * @returns {Array<Array<string>>} Attribute and key pairs
+     */
+    static parseAttributes(value) {
+        return value.split(',')
+            .map(pair => pair.split(':').map(part => part.trim()))
+            .filter(([attribute, key]) => attribute && key);
+    }
+
+    /**
+     * Translate a message
+     * @param {string} key - Message key, e.g. "forms.invalid"
+     * @param {Object} params - Values for {placeholders}; count picks the plural form,
+     *                          defaultValue is used when no dictionary has the key
+     * @returns {string} Translated message
+     */
+    static t(key, params = {}) {
+        // Fall back to English, then to the caller's default, then to the key itself
+        const message = [
+            I18n.lookup(I18n.locale, key),
+            I18n.lookup(Config.I18N.DEFAULT, key),
+            params.defaultValue,
+            key
+        ].find(candidate => candidate !== undefined && candidate !== null);
+
+        const text = typeof message === 'object'
+            ? I18n.selectPlural(message, params.count)
+            : String(message);
+
+        return I18n.interpolate(text, params);
+    }
+
+    /**
+     * Find a message in a locale's dictionary
+     * @param {string} locale - Locale code
+     * @param {string} key - Dot-separated message key
+     * @returns {string|Object|undefined} Message or plural forms
+     */
+    static lookup(locale, key) {
+        return key.split('.').reduce((node, part) => {
+            return node && typeof node === 'object' ? node[part] : undefined;
+        }, I18n.messages[locale]);
+    }
+
+    /**
+     * Pick the plural form for a count
+     * @param {Object} forms - Messages keyed by plural category (one, few, other...)
+     * @param {number} count - Count
+     * @returns {string} Message
+     */
+    static selectPlural(forms, count) {
+        if (typeof count !== 'number') return forms.other || '';
+
+        // An exact match such as "0" wins over the plural category
+        if (forms[count] !== undefined) return forms[count];
+
+        const category = new Intl.PluralRules(I18n.getLocale().tag).select(count);
+        if (forms[category] !== undefined) return forms[category];
+
+        return forms.other || '';
+    }
+
+    /**
+     * Fill {placeholders}, formatting numbers for the locale
+     * @param {string} text - Message
+     * @param {Object} params - Placeholder values
+     * @returns {string} Message with values
+     */
+    static interpolate(text, params) {
+        return text.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+
+            const value = params[name];
+            return typeof value === 'number' ? I18n.formatNumber(value) : String(value);
+        });
+    }
+
+    /**
+     * Format a number with the locale's digits and Indian grouping (12,34,567)
+     * @param {number} value - Number to format
+     * @param {Object} options - Intl.NumberFormat options
+     * @returns {string} Formatted number
+     */
+    static formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(I18n.getLocale().tag, options).format(value);
+    }
+
+    /**
+     * Format a date in the locale's style
+     * @param {Date} date - Date to format
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string} Formatted date
+     */
+    static formatDate(date, options = { dateStyle: 'medium' }) {
+        return new Intl.DateTimeFormat(I18n.getLocale().tag, options).format(date);
+    }
+
+    /**
+     * Get the current locale's settings
+     * @returns {Object} Locale name, tag and dir
+     */
+    static getLocale() {
+        return Config.I18N.LOCALES[I18n.locale] || Config.I18N.LOCALES[Config.I18N.DEFAULT];
+    }
+
+    /**
+     * Add messages to a locale's dictionary
+     * @param {string} locale - Locale code
+     * @param {Object} messages - Nested messages
+     */
+    static addMessages(locale, messages) {
+        I18n.messages[locale] = I18n.merge(I18n.messages[locale] || {}, messages);
+    }
+
+    /**
+     * Deep-merge message trees, keeping plural forms whole
+     * @param {Object} target - Existing messages
+     * @param {Object} source - Messages to add
+     * @returns {Object} Merged messages
+     */
+    static merge(target, source) {
+        Object.keys(source).forEach(key => {
+            const value = source[key];
+            const isBranch = value && typeof value === 'object' && !('other' in value);
+
+            target[key] = isBranch ? I18n.merge(target[key] || {}, value) : value;
+        });
+        return target;
+    }
+}
+
+// Dictionaries are added by the js/locales/ scripts
+I18n.messages = {};
+I18n.locale = 'en';
+I18n.originals = new WeakMap();
+
+// Register module
+ModuleRegistry.register('i18n', I18n, {
+    dependencies: ['config', 'event-bus', 'consent']
+});
+
+// Export module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
\ No newline at end of file
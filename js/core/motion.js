@@ -0,0 +1,156 @@
+// Motion Module
+
+// One place that decides whether the page may animate. Follows
+// prefers-reduced-motion unless the visitor picked a setting in the footer.
+class Motion {
+    /**
+     * Read the saved setting and follow the system one
+     */
+    static init() {
+        Motion.preference = Motion.load();
+        Motion.media = window.matchMedia(Motion.QUERY);
+
+        const onChange = () => {
+            if (Motion.preference === 'system') {
+                Motion.apply();
+            }
+        };
+
+        if (Motion.media.addEventListener) {
+            Motion.media.addEventListener('change', onChange);
+        } else if (Motion.media.addListener) {
+            Motion.media.addListener(onChange);
+        }
+
+        // Revoking consent removes the stored setting (Config.CONSENT.KEYS); granting it stores this one
+        EventBus.on('consent:change', () => {
+            if (Consent.has('personalization')) {
+                Motion.save();
+            }
+        });
+
+        Motion.apply();
+    }
+
+    /**
+     * Turn a select into the motion setting
+     * @param {HTMLSelectElement} select - Setting element
+     */
+    static mount(select) {
+        select.innerHTML = '';
+        Config.MOTION.CHOICES.forEach(choice => {
+            const option = document.createElement('option');
+            option.value = choice;
+            option.dataset.i18n = `motion.choices.${choice}`;
+            option.textContent = I18n.t(option.dataset.i18n);
+            select.appendChild(option);
+        });
+
+        select.value = Motion.preference;
+
+        select.addEventListener('change', () => {
+            Motion.set(select.value);
+        });
+
+        EventBus.on('motion:change', ({ preference }) => {
+            select.value = preference;
+        });
+    }
+
+    /**
+     * Choose a motion setting and remember it
+     * @param {string} preference - "system", "reduce" or "full"
+     * @returns {boolean} True if the setting is valid
+     */
+    static set(preference) {
+        if (!Config.MOTION.CHOICES.includes(preference)) return false;
+
+        Motion.preference = preference;
+        Motion.save();
+
+        Motion.apply(true);
+        return true;
+    }
+
+    /**
+     * Save the setting (it only lasts for this page without consent)
+     */
+    static save() {
+        // Remembering the setting needs personalization consent
+        if (!Consent.has('personalization')) return;
+
+        if (Motion.preference === 'system') {
+            localStorage.removeItem(Config.MOTION.STORAGE_KEY);
+        } else {
+            localStorage.setItem(Config.MOTION.STORAGE_KEY, Motion.preference);
+        }
+    }
+
+    /**
+     * Load the saved setting
+     * @returns {string} Motion preference
+     */
+    static load() {
+        const saved = localStorage.getItem(Config.MOTION.STORAGE_KEY);
+        return Config.MOTION.CHOICES.includes(saved) ? saved : 'system';
+    }
+
+    /**
+     * Mark <html> so the stylesheet can drop transitions too
+     * @param {boolean} force - Announce the change even if the outcome is the same
+     */
+    static apply(force = false) {
+        const reduced = Motion.preference === 'system'
+            ? Motion.media.matches
+            : Motion.preference === 'reduce';
+        const changed = reduced !== Motion.reduced;
+
+        Motion.reduced = reduced;
+        document.documentElement.dataset.motion = reduced ? 'reduce' : 'full';
+
+        if (changed || force) {
+            EventBus.emit('motion:change', { reduced, preference: Motion.preference });
+        }
+    }
+
+    /**
+     * Check whether animations should be skipped
+     * @returns {boolean} True if motion is reduced
+     */
+    static isReduced() {
+        return Motion.reduced;
+    }
+
+    /**
+     * Get the window.scrollTo behavior for the current setting
+     * @returns {string} "smooth" or "instant"
+     */
+    static getScrollBehavior() {
+        return Motion.reduced ? 'instant' : 'smooth';
+    }
+
+    /**
+     * Scale an animation duration to the current setting
+     * @param {number} duration - Duration in milliseconds
+     * @returns {number} The duration, or 0 when motion is reduced
+     */
+    static duration(duration) {
+        return Motion.reduced ? 0 : duration;
+    }
+}
+
+Motion.QUERY = '(prefers-reduced-motion: reduce)';
+
+Motion.preference = 'system';
+Motion.reduced = false;
+Motion.media = null;
+
+// Register module
+ModuleRegistry.register('motion', Motion, {
+    dependencies: ['config', 'event-bus', 'i18n', 'consent']
+});
+
+// Export module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Motion;
+}
\ No newline at end of file
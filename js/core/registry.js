@@ -0,0 +1,257 @@
+// Module registry and lifecycle
+
+class ModuleRegistry {
+    /**
+     * Register a module with the registry
+     * @param {string} name - Module name (matches data-module values)
+     * @param {Object} module - Module class or object
+     * @param {Object} options - Registration options
+     * @param {Array<string>} options.dependencies - Names of modules that must be initialized first
+     * @returns {Object} Registry entry
+     */
+    static register(name, module, options = {}) {
+        if (ModuleRegistry.entries.has(name)) {
+            console.warn(`Module "${name}" is already registered`);
+            return ModuleRegistry.entries.get(name);
+        }
+
+        const entry = {
+            name,
+            module,
+            dependencies: options.dependencies || [],
+            state: ModuleRegistry.STATES.REGISTERED,
+            mounted: new Set()
+        };
+
+        ModuleRegistry.entries.set(name, entry);
+
+        // Modules registered after start-up are initialized straight away
+        if (ModuleRegistry.started) {
+            ModuleRegistry.initModule(name);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Get a registered module
+     * @param {string} name - Module name
+     * @returns {Object|null} Module or null if not registered
+     */
+    static get(name) {
+        const entry = ModuleRegistry.entries.get(name);
+        return entry ? entry.module : null;
+    }
+
+    /**
+     * Get the lifecycle state of a module
+     * @param {string} name - Module name
+     * @returns {string|null} Module state or null if not registered
+     */
+    static getState(name) {
+        const entry = ModuleRegistry.entries.get(name);
+        return entry ? entry.state : null;
+    }
+
+    /**
+     * Check if a module has been initialized
+     * @param {string} name - Module name
+     * @returns {boolean} True if initialized
+     */
+    static isInitialized(name) {
+        return ModuleRegistry.getState(name) === ModuleRegistry.STATES.INITIALIZED;
+    }
+
+    /**
+     * Resolve module names in dependency order. Modules whose dependency
+     * chain is missing or circular are logged and left out, so the rest
+     * of the page still starts.
+     * @returns {Array<string>} Resolvable module names, dependencies first
+     */
+    static resolveOrder() {
+        const order = [];
+        const visiting = new Set();
+        const resolved = new Map();
+
+        const visit = (name, trail) => {
+            if (resolved.has(name)) return resolved.get(name);
+
+            if (visiting.has(name)) {
+                console.error(`Module registry: circular module dependency: ${[...trail, name].join(' -> ')}`);
+                return false;
+            }
+
+            const entry = ModuleRegistry.entries.get(name);
+            if (!entry) {
+                console.error(`Module registry: module "${trail[trail.length - 1]}" depends on unregistered module "${name}"`);
+                return false;
+            }
+
+            visiting.add(name);
+            const ready = entry.dependencies
+                .map(dependency => visit(dependency, [...trail, name]))
+                .every(Boolean);
+            visiting.delete(name);
+
+            resolved.set(name, ready);
+            if (ready) {
+                order.push(name);
+            } else {
+                console.warn(`Module "${name}" skipped, its dependencies cannot be resolved`);
+            }
+
+            return ready;
+        };
+
+        ModuleRegistry.entries.forEach((entry, name) => {
+            visit(name, []);
+        });
+
+        return order;
+    }
+
+    /**
+     * Initialize all registered modules once, in dependency order,
+     * then mount them on their data-module elements
+     * @param {HTMLElement} root - Root to scan for data-module elements
+     */
+    static initAll(root = document) {
+        ModuleRegistry.resolveOrder().forEach(name => {
+            ModuleRegistry.initModule(name);
+        });
+
+        ModuleRegistry.started = true;
+
+        ModuleRegistry.mountAll(root);
+    }
+
+    /**
+     * Initialize a single module if it has not been initialized yet
+     * @param {string} name - Module name
+     * @returns {boolean} True if the module is initialized
+     */
+    static initModule(name) {
+        const { STATES } = ModuleRegistry;
+        const entry = ModuleRegistry.entries.get(name);
+
+        if (!entry) {
+            console.warn(`Module "${name}" not found`);
+            return false;
+        }
+
+        if (entry.state === STATES.INITIALIZED) return true;
+
+        // Dependencies must be ready before the module itself
+        const unmet = entry.dependencies.filter(dependency => !ModuleRegistry.isInitialized(dependency));
+        if (unmet.length > 0) {
+            console.warn(`Module "${name}" skipped, dependencies not ready:`, unmet);
+            return false;
+        }
+
+        try {
+            if (typeof entry.module.init === 'function') {
+                entry.module.init();
+            }
+            entry.state = STATES.INITIALIZED;
+        } catch (error) {
+            entry.state = STATES.FAILED;
+            console.error(`Module "${name}" failed to initialize:`, error);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Mount modules on every element with a data-module attribute
+     * @param {HTMLElement} root - Root to scan
+     */
+    static mountAll(root = document) {
+        const elements = root.querySelectorAll('[data-module]');
+
+        elements.forEach(element => {
+            element.dataset.module.split(' ').filter(Boolean).forEach(name => {
+                ModuleRegistry.mount(name, element);
+            });
+        });
+    }
+
+    /**
+     * Scope a module to an element. Modules without a mount() method
+     * are page-wide and already covered by their init().
+     * @param {string} name - Module name
+     * @param {HTMLElement} element - Element to mount on
+     */
+    static mount(name, element) {
+        const entry = ModuleRegistry.entries.get(name);
+
+        if (!entry) {
+            console.warn(`Module "${name}" not found`);
+            return;
+        }
+
+        if (!ModuleRegistry.isInitialized(name)) return;
+        if (typeof entry.module.mount !== 'function') return;
+        if (entry.mounted.has(element)) return;
+
+        entry.module.mount(element);
+        entry.mounted.add(element);
+    }
+
+    /**
+     * Destroy all initialized modules in reverse dependency order
+     */
+    static destroyAll() {
+        // Modules left out of the order were never initialized
+        ModuleRegistry.resolveOrder().reverse().forEach(name => {
+            ModuleRegistry.destroyModule(name);
+        });
+
+        ModuleRegistry.started = false;
+    }
+
+    /**
+     * Destroy a single module
+     * @param {string} name - Module name
+     */
+    static destroyModule(name) {
+        const entry = ModuleRegistry.entries.get(name);
+        if (!entry || entry.state !== ModuleRegistry.STATES.INITIALIZED) return;
+
+        if (typeof entry.module.destroy === 'function') {
+            entry.module.destroy();
+        }
+
+        entry.mounted.clear();
+        entry.state = ModuleRegistry.STATES.DESTROYED;
+    }
+
+    /**
+     * Get a summary of all registered modules
+     * @returns {Array<Object>} Module names, states and dependencies
+     */
+    static getAll() {
+        return Array.from(ModuleRegistry.entries.values()).map(entry => ({
+            name: entry.name,
+            state: entry.state,
+            dependencies: entry.dependencies.slice(),
+            mounted: entry.mounted.size
+        }));
+    }
+}
+
+// Lifecycle states
+ModuleRegistry.STATES = {
+    REGISTERED: 'registered',
+    INITIALIZED: 'initialized',
+    DESTROYED: 'destroyed',
+    FAILED: 'failed'
+};
+
+ModuleRegistry.entries = new Map();
+ModuleRegistry.started = false;
+
+// Export registry
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModuleRegistry;
+}
\ No newline at end of file
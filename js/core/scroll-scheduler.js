@@ -0,0 +1,165 @@
+// Scroll Scheduler
+
+// The only scroll and resize listener on window. Events are coalesced into
+// one animation frame, which reads the scroll position once, runs every
+// subscriber's read phase and then every write phase, so layout reads never
+// follow DOM writes within a frame.
+class ScrollScheduler {
+    /**
+     * Listen for scroll and resize
+     */
+    static init() {
+        if (ScrollScheduler.listening) return;
+        ScrollScheduler.listening = true;
+
+        window.addEventListener('scroll', ScrollScheduler.onScroll, { passive: true });
+        window.addEventListener('resize', ScrollScheduler.onResize, { passive: true });
+
+        // First frame gives every subscriber the initial state
+        ScrollScheduler.schedule(true);
+    }
+
+    /**
+     * Subscribe to scroll and resize frames
+     * @param {Object} options - Subscriber
+     * @param {Function} options.read - Called with (state) to measure the DOM; its return value goes to write
+     * @param {Function} options.write - Called with (state, measured) to update the DOM
+     * @param {number} options.priority - Higher priorities run first in each phase
+     * @returns {Function} Unsubscribe function
+     */
+    static subscribe({ read = null, write = null, priority = ScrollScheduler.PRIORITY.NORMAL } = {}) {
+        const subscriber = { read, write, priority };
+
+        ScrollScheduler.subscribers.push(subscriber);
+        ScrollScheduler.subscribers.sort((a, b) => b.priority - a.priority);
+
+        // New subscribers catch up on the next frame
+        ScrollScheduler.schedule(true);
+
+        return () => {
+            const index = ScrollScheduler.subscribers.indexOf(subscriber);
+            if (index > -1) {
+                ScrollScheduler.subscribers.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * Scroll listener
+     */
+    static onScroll() {
+        ScrollScheduler.schedule();
+    }
+
+    /**
+     * Resize listener
+     */
+    static onResize() {
+        ScrollScheduler.schedule(true);
+    }
+
+    /**
+     * Request a frame unless one is already pending
+     * @param {boolean} resized - Tell subscribers the viewport may have changed
+     */
+    static schedule(resized = false) {
+        ScrollScheduler.resized = ScrollScheduler.resized || resized;
+
+        if (ScrollScheduler.frame) return;
+        ScrollScheduler.frame = window.requestAnimationFrame(ScrollScheduler.flush);
+    }
+
+    /**
+     * Run one frame: measure once, then all reads, then all writes
+     */
+    static flush() {
+        ScrollScheduler.frame = null;
+
+        const scrollY = window.pageYOffset;
+        const previous = ScrollScheduler.state;
+        const state = {
+            scrollY,
+            previousY: previous ? previous.scrollY : scrollY,
+            direction: previous && scrollY < previous.scrollY ? 'up' : 'down',
+            viewportWidth: window.innerWidth,
+            viewportHeight: window.innerHeight || document.documentElement.clientHeight,
+            resized: ScrollScheduler.resized
+        };
+
+        ScrollScheduler.state = state;
+        ScrollScheduler.resized = false;
+
+        // Copy so subscribers can unsubscribe mid-frame
+        const subscribers = ScrollScheduler.subscribers.slice();
+
+        const measured = subscribers.map(subscriber =>
+            subscriber.read ? ScrollScheduler.call(subscriber.read, state) : undefined
+        );
+
+        subscribers.forEach((subscriber, index) => {
+            if (subscriber.write) {
+                ScrollScheduler.call(subscriber.write, state, measured[index]);
+            }
+        });
+    }
+
+    /**
+     * Call a subscriber, keeping one failure from breaking the frame
+     * @param {Function} callback - Read or write callback
+     * @param {...*} args - Callback arguments
+     * @returns {*} Callback result
+     */
+    static call(callback, ...args) {
+        try {
+            return callback(...args);
+        } catch (error) {
+            console.error('Error in scroll subscriber:', error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Get the state measured in the last frame
+     * @returns {Object|null} Scroll state
+     */
+    static getState() {
+        return ScrollScheduler.state;
+    }
+
+    /**
+     * Stop listening and drop all subscribers
+     */
+    static destroy() {
+        window.removeEventListener('scroll', ScrollScheduler.onScroll);
+        window.removeEventListener('resize', ScrollScheduler.onResize);
+
+        if (ScrollScheduler.frame) {
+            window.cancelAnimationFrame(ScrollScheduler.frame);
+        }
+
+        ScrollScheduler.listening = false;
+        ScrollScheduler.frame = null;
+        ScrollScheduler.subscribers = [];
+    }
+}
+
+// Suggested priorities; visible chrome first, decoration last
+ScrollScheduler.PRIORITY = {
+    HIGH: 20,
+    NORMAL: 10,
+    LOW: 0
+};
+
+ScrollScheduler.subscribers = [];
+ScrollScheduler.state = null;
+ScrollScheduler.frame = null;
+ScrollScheduler.resized = false;
+ScrollScheduler.listening = false;
+
+// Register module
+ModuleRegistry.register('scroll-scheduler', ScrollScheduler);
+
+// Export module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScrollScheduler;
+}
\ No newline at end of file
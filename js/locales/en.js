@@ -0,0 +1,358 @@
+// English messages (default locale, also the fallback for missing keys)
+
+I18n.addMessages('en', {
+    meta: {
+        title: 'Pune University | MBA Program'
+    },
+    brand: {
+        name: 'Pune University',
+        location: 'Pune, Maharashtra'
+    },
+    nav: {
+        overview: 'Overview',
+        courses: 'Courses',
+        highlights: 'Highlights',
+        facilities: 'Facilities',
+        contact: 'Contact',
+        language: 'Language',
+        toggle: 'Toggle navigation'
+    },
+    theme: {
+        label: 'Theme: {name}',
+        names: {
+            system: 'System',
+            light: 'Light',
+            dark: 'Dark',
+            'high-contrast': 'High contrast'
+        }
+    },
+    motion: {
+        label: 'Animations',
+        choices: {
+            system: 'System setting',
+            reduce: 'Reduced',
+            full: 'Full'
+        }
+    },
+    notifications: {
+        region: 'Notifications',
+        close: 'Close notification',
+        actionHint: 'Press {shortcut} to reach its buttons.',
+        persist: 'Keep notifications until I close them'
+    },
+    notificationCenter: {
+        title: 'Notifications',
+        unread: 'Notifications, {count} unread',
+        unreadItem: '(unread)',
+        markAllRead: 'Mark all read',
+        clear: 'Clear',
+        filterLabel: 'Filter by type',
+        filters: {
+            all: 'All',
+            success: 'Success',
+            error: 'Errors',
+            info: 'Info',
+            warning: 'Warnings'
+        },
+        empty: 'No notifications yet.',
+        today: 'Today',
+        yesterday: 'Yesterday'
+    },
+    common: {
+        apply: 'Apply Now',
+        optional: '(optional)',
+        scrollTop: 'Scroll to top',
+        dismiss: 'Dismiss',
+        reload: 'Reload',
+        confirm: 'OK',
+        cancel: 'Cancel',
+        retry: 'Retry',
+        close: 'Close',
+        back: 'Back',
+        next: 'Next',
+        done: 'Done'
+    },
+    hero: {
+        title: 'Master of Business Administration (MBA)',
+        description: 'Transform your career with our industry-oriented MBA program. Gain practical knowledge, develop leadership skills, and build a strong professional network with Pune University\'s premier business education.',
+        explore: 'Explore Courses'
+    },
+    overview: {
+        title: 'College Overview',
+        about: 'About Pune University'
+    },
+    stats: {
+        years: 'Years of Excellence',
+        alumni: 'MBA Alumni',
+        placement: 'Placement Rate',
+        faculty: 'Faculty Members',
+        asOf: 'Figures as of {date}'
+    },
+    courses: {
+        title: 'MBA Specializations',
+        subtitle: 'Choose from our diverse range of MBA specializations',
+        filter: {
+            search: 'Search courses',
+            searchPlaceholder: 'Name, subject or course code',
+            duration: 'Duration',
+            anyDuration: 'Any duration',
+            seats: 'Seats',
+            anySeats: 'Any intake',
+            clear: 'Clear filters',
+            seatRanges: {
+                small: 'Up to 60 seats',
+                medium: '61 to 120 seats',
+                large: 'More than 120 seats'
+            },
+            showing: {
+                one: 'Showing {visible} of {count} course',
+                other: 'Showing {visible} of {count} courses'
+            }
+        },
+        empty: {
+            title: 'No courses match your filters',
+            hint: 'Try a different search term or clear the filters to see every specialization.'
+        },
+        duration: {
+            years: {
+                one: '{count} Year',
+                other: '{count} Years'
+            },
+            months: {
+                one: '{count} Month',
+                other: '{count} Months'
+            }
+        },
+        seatCount: {
+            one: '{count} Seat',
+            other: '{count} Seats'
+        },
+        viewDetails: 'View details',
+        viewDetailsFor: 'View details for {title}',
+        tags: 'Specializations',
+        facts: {
+            code: 'Course code',
+            duration: 'Duration',
+            seats: 'Seats',
+            fees: 'Fees',
+            feesPerYear: '{total} ({perYear} per year)',
+            coreSubjects: 'Core subjects',
+            careers: 'Career outcomes',
+            notAvailable: 'Not available'
+        },
+        detail: {
+            title: 'Course Details',
+            curriculum: 'Curriculum',
+            eligibility: 'Eligibility',
+            faculty: 'Faculty',
+            // {email} becomes a mailto link
+            more: 'Full curriculum and faculty details are available from the admissions office at {email}.',
+            applyFor: 'Apply for {title}'
+        },
+        compare: {
+            tray: 'Course comparison',
+            toggle: 'Compare',
+            toggleLabel: 'Compare {title}',
+            remove: 'Remove {title} from comparison',
+            clear: 'Clear',
+            open: 'Compare ({count})',
+            needMore: 'Select at least one more course to compare',
+            canAdd: 'You can add {count} more',
+            limit: 'You can compare up to {count} courses. Remove one to add another.',
+            title: 'Compare Specializations',
+            // Shown as "<mark>{highlighted}</mark> {legend}"
+            highlighted: 'Highlighted',
+            legend: 'rows and items differ between the selected courses.',
+            course: 'Course',
+            caption: 'Comparison of {titles}',
+            differs: '(differs)',
+            copyLink: 'Copy link',
+            copied: 'Comparison link copied.',
+            shareLink: 'Share this link: {url}'
+        }
+    },
+    highlights: {
+        title: 'Key Highlights',
+        subtitle: 'Why choose our MBA program',
+        faculty: 'Expert Faculty',
+        partnerships: 'Industry Partnerships',
+        infrastructure: 'Modern Infrastructure',
+        placement: 'Placement Assistance',
+        global: 'Global Exposure',
+        alumni: 'Alumni Network',
+        facultyText: 'Learn from industry veterans and academic experts with decades of experience.',
+        partnershipsText: 'Strong collaborations with 150+ companies for internships and placements.',
+        infrastructureText: 'State-of-the-art classrooms, libraries, and recreational facilities on campus.',
+        placementText: 'Dedicated placement cell with 95% placement record in top companies.',
+        globalText: 'International student exchange programs and global immersion opportunities.',
+        alumniText: 'Access to a strong network of 5000+ alumni across various industries.'
+    },
+    facilities: {
+        title: 'Facilities & Benefits',
+        subtitle: 'World-class infrastructure for holistic development',
+        library: 'Modern Library',
+        wifi: 'Wi-Fi Campus',
+        labs: 'Research Labs',
+        hostel: 'Hostel Facilities',
+        sports: 'Sports Complex',
+        cafeteria: 'Cafeteria & Food Court',
+        libraryText: 'Digital library with 50,000+ books, journals, and online databases.',
+        wifiText: 'High-speed internet connectivity across the entire campus.',
+        labsText: 'Advanced labs for business analytics and market research.',
+        hostelText: 'Safe and comfortable accommodation for outstation students.',
+        sportsText: 'Indoor and outdoor sports facilities for physical fitness.',
+        cafeteriaText: 'Multiple dining options with hygienic and nutritious food.'
+    },
+    enquiry: {
+        title: 'Have a Question?',
+        subtitle: 'Send us your enquiry and our admissions team will get back to you',
+        name: 'Name',
+        email: 'Email',
+        phone: 'Mobile Number',
+        subject: 'Subject',
+        selectTopic: 'Select a topic',
+        message: 'Message',
+        submit: 'Send Enquiry',
+        topics: {
+            admissions: 'Admissions',
+            fees: 'Fees & Scholarships',
+            specializations: 'Specializations',
+            hostel: 'Hostel & Campus',
+            placements: 'Placements',
+            other: 'Other'
+        }
+    },
+    footer: {
+        contact: 'Contact Information',
+        apply: 'Apply for MBA Program',
+        applyText: 'Start your application for the next academic session.',
+        about: 'One of India\'s premier institutions for higher education with a legacy of excellence since 1949.',
+        address: 'Ganeshkhind Road, Pune, Maharashtra 411007',
+        hours: 'Mon - Fri: 9:00 AM - 5:00 PM',
+        helpline: 'Admission Helpline:',
+        rights: 'All Rights Reserved.',
+        privacy: 'Privacy Policy',
+        terms: 'Terms of Service',
+        cookies: 'Cookie Preferences'
+    },
+    app: {
+        welcome: 'Welcome to Pune University MBA Program! Explore our courses and facilities.',
+        compatibility: {
+            title: 'Browser Compatibility Notice',
+            body: 'Your browser may not support all features of this website. For the best experience, please use the latest version of Chrome, Firefox, Safari, or Edge.'
+        },
+        update: 'An update is available.',
+        online: 'You are back online!',
+        onlineCached: 'You are back online! Reload to get the latest content.',
+        offline: 'You are offline. Some features may not work.',
+        offlineCached: 'You are offline. This page is being served from cache.'
+    },
+    forms: {
+        // Used as {label} in the messages below
+        labels: {
+            enquiry: 'enquiry',
+            application: 'application'
+        },
+        invalid: 'Please correct the highlighted fields.',
+        thanks: 'Thank you! We have received your message and will contact you soon.',
+        queuedOffline: 'You are offline. Your {label} will be sent when you are back online.',
+        queuedNetwork: 'We could not reach the server. Your {label} will be sent automatically once the connection is back.',
+        sent: 'Your {label} has been sent.',
+        failed: 'Your {label} could not be sent: {error}',
+        errors: {
+            required: 'This field is required.',
+            email: 'Please enter a valid email address.',
+            mobile: 'Please enter a valid 10-digit Indian mobile number.',
+            pincode: 'Please enter a valid 6-digit PIN code.',
+            number: 'Please enter a number.',
+            minLength: 'Please enter at least {min} characters.',
+            maxLength: 'Please enter no more than {max} characters.',
+            min: 'Please enter a value of at least {min}.',
+            max: 'Please enter a value no greater than {max}.',
+            pattern: 'Please match the requested format.',
+            match: 'Must match {label}.',
+            mismatch: 'Fields do not match.',
+            emailMismatch: 'Email addresses do not match.',
+            minAggregate: 'A minimum of 50% aggregate is required.'
+        }
+    },
+    apply: {
+        unavailable: 'The application form could not be opened. Please contact the admissions office.',
+        thanks: 'Thank you for your interest! Our admissions team will contact you soon.',
+        submitting: 'Submitting your application…',
+        // {reference} is apply.reference, or empty without a reference number
+        submitted: 'Application submitted successfully! {reference}',
+        reference: 'Your reference number is {id}.',
+        unreachable: 'Could not reach the admissions server. Please check your connection and try again.',
+        title: 'MBA Application',
+        steps: {
+            personal: 'Personal',
+            academic: 'Academics',
+            entranceExam: 'Entrance Exam',
+            preferences: 'Specialization',
+            review: 'Review'
+        },
+        legends: {
+            personal: 'Personal Details',
+            academic: 'Academic History',
+            entranceExam: 'Entrance Exam Scores',
+            preferences: 'Specialization Preferences',
+            review: 'Review Your Application'
+        },
+        fields: {
+            fullName: 'Full Name',
+            dateOfBirth: 'Date of Birth',
+            email: 'Email',
+            confirmEmail: 'Confirm Email',
+            phone: 'Mobile Number',
+            city: 'City',
+            pincode: 'PIN Code',
+            degree: 'Bachelor\'s Degree',
+            university: 'University',
+            graduationYear: 'Year of Graduation',
+            percentage: 'Aggregate Percentage',
+            exam: 'Entrance Exam',
+            examYear: 'Exam Year',
+            score: 'Score',
+            percentile: 'Percentile',
+            firstChoice: 'First Choice',
+            secondChoice: 'Second Choice',
+            statement: 'Why this specialization?'
+        },
+        selectDegree: 'Select degree',
+        otherDegree: 'Other',
+        selectExam: 'Select exam',
+        selectSpecialization: 'Select specialization',
+        noSecondChoice: 'No second choice',
+        declaration: 'I confirm that the information provided is correct.',
+        submit: 'Submit Application',
+        submitBusy: 'Submitting…'
+    },
+    consent: {
+        region: 'Cookie consent',
+        text: 'We use strictly necessary storage to run this site. With your permission we would also like to use analytics to improve our admissions information and remember your preferences.',
+        preferences: 'Preferences',
+        reject: 'Reject Non-essential',
+        accept: 'Accept All',
+        title: 'Privacy Preferences',
+        save: 'Save Preferences',
+        categories: {
+            necessary: {
+                label: 'Strictly Necessary',
+                description: 'Required for the site to work, such as remembering these choices and sending forms you submitted while offline.'
+            },
+            analytics: {
+                label: 'Analytics',
+                description: 'Anonymous usage statistics and error reports that help our admissions team improve this page.'
+            },
+            personalization: {
+                label: 'Personalization',
+                description: 'Remembers your visits and preferences on this device.'
+            }
+        }
+    },
+    errors: {
+        generic: 'An error occurred. Please try again later.',
+        unexpected: 'Something went wrong. Please try again.'
+    }
+});
\ No newline at end of file
@@ -0,0 +1,353 @@
+// Hindi messages
+
+I18n.addMessages('hi', {
+    meta: {
+        title: 'पुणे विश्वविद्यालय | एमबीए प्रोग्राम'
+    },
+    brand: {
+        name: 'पुणे विश्वविद्यालय',
+        location: 'पुणे, महाराष्ट्र'
+    },
+    nav: {
+        overview: 'परिचय',
+        courses: 'पाठ्यक्रम',
+        highlights: 'विशेषताएँ',
+        facilities: 'सुविधाएँ',
+        contact: 'संपर्क',
+        language: 'भाषा',
+        toggle: 'मेनू खोलें या बंद करें'
+    },
+    theme: {
+        label: 'थीम: {name}',
+        names: {
+            system: 'सिस्टम के अनुसार',
+            light: 'हल्की',
+            dark: 'गहरी',
+            'high-contrast': 'उच्च कंट्रास्ट'
+        }
+    },
+    motion: {
+        label: 'ऐनिमेशन',
+        choices: {
+            system: 'सिस्टम के अनुसार',
+            reduce: 'कम',
+            full: 'पूर्ण'
+        }
+    },
+    notifications: {
+        region: 'सूचनाएँ',
+        close: 'सूचना बंद करें',
+        actionHint: 'बटनों तक पहुँचने के लिए {shortcut} दबाएँ।',
+        persist: 'सूचनाएँ तब तक रखें जब तक मैं उन्हें बंद न करूँ'
+    },
+    notificationCenter: {
+        title: 'सूचनाएँ',
+        unread: 'सूचनाएँ, {count} अपठित',
+        unreadItem: '(अपठित)',
+        markAllRead: 'सभी को पढ़ा हुआ चिह्नित करें',
+        clear: 'साफ़ करें',
+        filterLabel: 'प्रकार के अनुसार छाँटें',
+        filters: {
+            all: 'सभी',
+            success: 'सफल',
+            error: 'त्रुटियाँ',
+            info: 'जानकारी',
+            warning: 'चेतावनियाँ'
+        },
+        empty: 'अभी कोई सूचना नहीं है।',
+        today: 'आज',
+        yesterday: 'कल'
+    },
+    common: {
+        apply: 'अभी आवेदन करें',
+        optional: '(वैकल्पिक)',
+        scrollTop: 'ऊपर जाएँ',
+        dismiss: 'बंद करें',
+        reload: 'फिर से लोड करें',
+        confirm: 'ठीक है',
+        cancel: 'रद्द करें',
+        retry: 'फिर से प्रयास करें',
+        close: 'बंद करें',
+        back: 'पीछे',
+        next: 'आगे',
+        done: 'हो गया'
+    },
+    hero: {
+        title: 'मास्टर ऑफ़ बिज़नेस एडमिनिस्ट्रेशन (एमबीए)',
+        description: 'हमारे उद्योग-उन्मुख एमबीए प्रोग्राम के साथ अपने करियर को नई दिशा दें। पुणे विश्वविद्यालय की प्रमुख प्रबंधन शिक्षा से व्यावहारिक ज्ञान प्राप्त करें, नेतृत्व कौशल विकसित करें और एक मज़बूत पेशेवर नेटवर्क बनाएँ।',
+        explore: 'पाठ्यक्रम देखें'
+    },
+    overview: {
+        title: 'कॉलेज का परिचय',
+        about: 'पुणे विश्वविद्यालय के बारे में'
+    },
+    stats: {
+        years: 'उत्कृष्टता के वर्ष',
+        alumni: 'एमबीए पूर्व छात्र',
+        placement: 'प्लेसमेंट दर',
+        faculty: 'संकाय सदस्य',
+        asOf: '{date} तक के आंकड़े'
+    },
+    courses: {
+        title: 'एमबीए विशेषज्ञताएँ',
+        subtitle: 'हमारी विविध एमबीए विशेषज्ञताओं में से चुनें',
+        filter: {
+            search: 'पाठ्यक्रम खोजें',
+            searchPlaceholder: 'नाम, विषय या पाठ्यक्रम कोड',
+            duration: 'अवधि',
+            anyDuration: 'कोई भी अवधि',
+            seats: 'सीटें',
+            anySeats: 'कोई भी प्रवेश क्षमता',
+            clear: 'फ़िल्टर हटाएँ',
+            seatRanges: {
+                small: '60 सीटों तक',
+                medium: '61 से 120 सीटें',
+                large: '120 से अधिक सीटें'
+            },
+            showing: {
+                other: '{count} में से {visible} पाठ्यक्रम दिखाए जा रहे हैं'
+            }
+        },
+        empty: {
+            title: 'आपके फ़िल्टर से मेल खाता कोई पाठ्यक्रम नहीं',
+            hint: 'कोई दूसरा शब्द खोजें या सभी विशेषज्ञताएँ देखने के लिए फ़िल्टर हटाएँ।'
+        },
+        duration: {
+            years: {
+                other: '{count} वर्ष'
+            },
+            months: {
+                one: '{count} महीना',
+                other: '{count} महीने'
+            }
+        },
+        seatCount: {
+            one: '{count} सीट',
+            other: '{count} सीटें'
+        },
+        viewDetails: 'विवरण देखें',
+        viewDetailsFor: '{title} का विवरण देखें',
+        tags: 'विशेषज्ञताएँ',
+        facts: {
+            code: 'पाठ्यक्रम कोड',
+            duration: 'अवधि',
+            seats: 'सीटें',
+            fees: 'शुल्क',
+            feesPerYear: '{total} ({perYear} प्रति वर्ष)',
+            coreSubjects: 'मुख्य विषय',
+            careers: 'करियर के अवसर',
+            notAvailable: 'उपलब्ध नहीं'
+        },
+        detail: {
+            title: 'पाठ्यक्रम विवरण',
+            curriculum: 'पाठ्यचर्या',
+            eligibility: 'पात्रता',
+            faculty: 'संकाय',
+            more: 'पूरी पाठ्यचर्या और संकाय की जानकारी प्रवेश कार्यालय से {email} पर उपलब्ध है।',
+            applyFor: '{title} के लिए आवेदन करें'
+        },
+        compare: {
+            tray: 'पाठ्यक्रमों की तुलना',
+            toggle: 'तुलना करें',
+            toggleLabel: '{title} की तुलना करें',
+            remove: '{title} को तुलना से हटाएँ',
+            clear: 'हटाएँ',
+            open: 'तुलना करें ({count})',
+            needMore: 'तुलना के लिए कम से कम एक और पाठ्यक्रम चुनें',
+            canAdd: 'आप {count} और जोड़ सकते हैं',
+            limit: 'आप अधिकतम {count} पाठ्यक्रमों की तुलना कर सकते हैं। दूसरा जोड़ने के लिए एक हटाएँ।',
+            title: 'विशेषज्ञताओं की तुलना',
+            highlighted: 'हाइलाइट',
+            legend: 'की गई पंक्तियाँ और आइटम चुने गए पाठ्यक्रमों में अलग-अलग हैं।',
+            course: 'पाठ्यक्रम',
+            caption: '{titles} की तुलना',
+            differs: '(अलग है)',
+            copyLink: 'लिंक कॉपी करें',
+            copied: 'तुलना का लिंक कॉपी हो गया।',
+            shareLink: 'यह लिंक साझा करें: {url}'
+        }
+    },
+    highlights: {
+        title: 'मुख्य विशेषताएँ',
+        subtitle: 'हमारा एमबीए प्रोग्राम क्यों चुनें',
+        faculty: 'विशेषज्ञ संकाय',
+        partnerships: 'उद्योग साझेदारी',
+        infrastructure: 'आधुनिक बुनियादी ढाँचा',
+        placement: 'प्लेसमेंट सहायता',
+        global: 'वैश्विक अनुभव',
+        alumni: 'पूर्व छात्र नेटवर्क',
+        facultyText: 'दशकों के अनुभव वाले उद्योग विशेषज्ञों और शिक्षाविदों से सीखें।',
+        partnershipsText: 'इंटर्नशिप और प्लेसमेंट के लिए 150+ कंपनियों के साथ मज़बूत सहयोग।',
+        infrastructureText: 'परिसर में अत्याधुनिक कक्षाएँ, पुस्तकालय और मनोरंजन सुविधाएँ।',
+        placementText: 'शीर्ष कंपनियों में 95% प्लेसमेंट रिकॉर्ड वाला समर्पित प्लेसमेंट सेल।',
+        globalText: 'अंतरराष्ट्रीय छात्र विनिमय कार्यक्रम और वैश्विक अनुभव के अवसर।',
+        alumniText: 'विभिन्न उद्योगों में फैले 5000+ पूर्व छात्रों के मज़बूत नेटवर्क तक पहुँच।'
+    },
+    facilities: {
+        title: 'सुविधाएँ और लाभ',
+        subtitle: 'सर्वांगीण विकास के लिए विश्वस्तरीय सुविधाएँ',
+        library: 'आधुनिक पुस्तकालय',
+        wifi: 'वाई-फ़ाई कैंपस',
+        labs: 'अनुसंधान प्रयोगशालाएँ',
+        hostel: 'छात्रावास सुविधाएँ',
+        sports: 'खेल परिसर',
+        cafeteria: 'कैफ़ेटेरिया और फ़ूड कोर्ट',
+        libraryText: '50,000+ पुस्तकों, पत्रिकाओं और ऑनलाइन डेटाबेस वाला डिजिटल पुस्तकालय।',
+        wifiText: 'पूरे परिसर में हाई-स्पीड इंटरनेट कनेक्टिविटी।',
+        labsText: 'बिज़नेस एनालिटिक्स और बाज़ार अनुसंधान के लिए उन्नत प्रयोगशालाएँ।',
+        hostelText: 'बाहर से आए छात्रों के लिए सुरक्षित और आरामदायक आवास।',
+        sportsText: 'शारीरिक फिटनेस के लिए इनडोर और आउटडोर खेल सुविधाएँ।',
+        cafeteriaText: 'स्वच्छ और पौष्टिक भोजन के कई विकल्प।'
+    },
+    enquiry: {
+        title: 'कोई प्रश्न है?',
+        subtitle: 'अपनी पूछताछ भेजें, हमारी प्रवेश टीम आपसे संपर्क करेगी',
+        name: 'नाम',
+        email: 'ईमेल',
+        phone: 'मोबाइल नंबर',
+        subject: 'विषय',
+        selectTopic: 'विषय चुनें',
+        message: 'संदेश',
+        submit: 'पूछताछ भेजें',
+        topics: {
+            admissions: 'प्रवेश',
+            fees: 'शुल्क और छात्रवृत्ति',
+            specializations: 'विशेषज्ञताएँ',
+            hostel: 'छात्रावास और परिसर',
+            placements: 'प्लेसमेंट',
+            other: 'अन्य'
+        }
+    },
+    footer: {
+        contact: 'संपर्क जानकारी',
+        apply: 'एमबीए प्रोग्राम के लिए आवेदन करें',
+        applyText: 'अगले शैक्षणिक सत्र के लिए अपना आवेदन शुरू करें।',
+        about: '1949 से उत्कृष्टता की विरासत वाला, उच्च शिक्षा के लिए भारत के प्रमुख संस्थानों में से एक।',
+        address: 'गणेशखिंड रोड, पुणे, महाराष्ट्र 411007',
+        hours: 'सोम - शुक्र: सुबह 9:00 - शाम 5:00',
+        helpline: 'प्रवेश हेल्पलाइन:',
+        rights: 'सर्वाधिकार सुरक्षित।',
+        privacy: 'गोपनीयता नीति',
+        terms: 'सेवा की शर्तें',
+        cookies: 'कुकी प्राथमिकताएँ'
+    },
+    app: {
+        welcome: 'पुणे विश्वविद्यालय एमबीए प्रोग्राम में आपका स्वागत है! हमारे पाठ्यक्रम और सुविधाएँ देखें।',
+        compatibility: {
+            title: 'ब्राउज़र संगतता सूचना',
+            body: 'हो सकता है आपका ब्राउज़र इस वेबसाइट की सभी सुविधाओं का समर्थन न करे। सबसे अच्छे अनुभव के लिए कृपया Chrome, Firefox, Safari या Edge का नवीनतम संस्करण इस्तेमाल करें।'
+        },
+        update: 'नया अपडेट उपलब्ध है।',
+        online: 'आप फिर से ऑनलाइन हैं!',
+        onlineCached: 'आप फिर से ऑनलाइन हैं! नई सामग्री के लिए पेज फिर से लोड करें।',
+        offline: 'आप ऑफ़लाइन हैं। कुछ सुविधाएँ शायद काम न करें।',
+        offlineCached: 'आप ऑफ़लाइन हैं। यह पेज कैश से दिखाया जा रहा है।'
+    },
+    forms: {
+        // Labels carry the possessive so the messages avoid gendered verbs
+        labels: {
+            enquiry: 'आपकी पूछताछ',
+            application: 'आपका आवेदन'
+        },
+        invalid: 'कृपया चिह्नित फ़ील्ड ठीक करें।',
+        thanks: 'धन्यवाद! हमें आपका संदेश मिल गया है, हम जल्द ही आपसे संपर्क करेंगे।',
+        queuedOffline: 'आप ऑफ़लाइन हैं। ऑनलाइन होते ही हम {label} भेज देंगे।',
+        queuedNetwork: 'सर्वर से संपर्क नहीं हो सका। कनेक्शन लौटते ही हम {label} अपने आप भेज देंगे।',
+        sent: 'सफलतापूर्वक भेजा गया: {label}',
+        failed: 'भेजा नहीं जा सका ({label}): {error}',
+        errors: {
+            required: 'यह फ़ील्ड आवश्यक है।',
+            email: 'कृपया मान्य ईमेल पता दर्ज करें।',
+            mobile: 'कृपया मान्य 10 अंकों का भारतीय मोबाइल नंबर दर्ज करें।',
+            pincode: 'कृपया मान्य 6 अंकों का पिन कोड दर्ज करें।',
+            number: 'कृपया एक संख्या दर्ज करें।',
+            minLength: 'कृपया कम से कम {min} अक्षर दर्ज करें।',
+            maxLength: 'कृपया {max} से अधिक अक्षर दर्ज न करें।',
+            min: 'कृपया कम से कम {min} का मान दर्ज करें।',
+            max: 'कृपया {max} से अधिक का मान दर्ज न करें।',
+            pattern: 'कृपया माँगे गए प्रारूप में दर्ज करें।',
+            match: '{label} से मेल खाना चाहिए।',
+            mismatch: 'फ़ील्ड मेल नहीं खाते।',
+            emailMismatch: 'ईमेल पते मेल नहीं खाते।',
+            minAggregate: 'कम से कम 50% कुल अंक आवश्यक हैं।'
+        }
+    },
+    apply: {
+        unavailable: 'आवेदन फ़ॉर्म नहीं खुल सका। कृपया प्रवेश कार्यालय से संपर्क करें।',
+        thanks: 'आपकी रुचि के लिए धन्यवाद! हमारी प्रवेश टीम जल्द ही आपसे संपर्क करेगी।',
+        submitting: 'आपका आवेदन भेजा जा रहा है…',
+        submitted: 'आवेदन सफलतापूर्वक जमा हो गया! {reference}',
+        reference: 'आपकी संदर्भ संख्या {id} है।',
+        unreachable: 'प्रवेश सर्वर से संपर्क नहीं हो सका। कृपया अपना कनेक्शन जाँचें और फिर से प्रयास करें।',
+        title: 'एमबीए आवेदन',
+        steps: {
+            personal: 'व्यक्तिगत',
+            academic: 'शैक्षणिक',
+            entranceExam: 'प्रवेश परीक्षा',
+            preferences: 'विशेषज्ञता',
+            review: 'समीक्षा'
+        },
+        legends: {
+            personal: 'व्यक्तिगत विवरण',
+            academic: 'शैक्षणिक इतिहास',
+            entranceExam: 'प्रवेश परीक्षा के अंक',
+            preferences: 'विशेषज्ञता की पसंद',
+            review: 'अपने आवेदन की समीक्षा करें'
+        },
+        fields: {
+            fullName: 'पूरा नाम',
+            dateOfBirth: 'जन्म तिथि',
+            email: 'ईमेल',
+            confirmEmail: 'ईमेल की पुष्टि करें',
+            phone: 'मोबाइल नंबर',
+            city: 'शहर',
+            pincode: 'पिन कोड',
+            degree: 'स्नातक डिग्री',
+            university: 'विश्वविद्यालय',
+            graduationYear: 'स्नातक होने का वर्ष',
+            percentage: 'कुल प्रतिशत',
+            exam: 'प्रवेश परीक्षा',
+            examYear: 'परीक्षा वर्ष',
+            score: 'अंक',
+            percentile: 'पर्सेंटाइल',
+            firstChoice: 'पहली पसंद',
+            secondChoice: 'दूसरी पसंद',
+            statement: 'यह विशेषज्ञता क्यों?'
+        },
+        selectDegree: 'डिग्री चुनें',
+        otherDegree: 'अन्य',
+        selectExam: 'परीक्षा चुनें',
+        selectSpecialization: 'विशेषज्ञता चुनें',
+        noSecondChoice: 'कोई दूसरी पसंद नहीं',
+        declaration: 'मेरे द्वारा दी गई जानकारी सही है।',
+        submit: 'आवेदन जमा करें',
+        submitBusy: 'जमा किया जा रहा है…'
+    },
+    consent: {
+        region: 'कुकी सहमति',
+        text: 'इस साइट को चलाने के लिए हम केवल अत्यंत आवश्यक स्टोरेज का उपयोग करते हैं। आपकी अनुमति से हम अपनी प्रवेश जानकारी बेहतर बनाने के लिए एनालिटिक्स का उपयोग करना और आपकी पसंद याद रखना भी चाहेंगे।',
+        preferences: 'प्राथमिकताएँ',
+        reject: 'गैर-ज़रूरी अस्वीकार करें',
+        accept: 'सभी स्वीकार करें',
+        title: 'गोपनीयता प्राथमिकताएँ',
+        save: 'प्राथमिकताएँ सहेजें',
+        categories: {
+            necessary: {
+                label: 'अत्यंत आवश्यक',
+                description: 'साइट चलाने के लिए ज़रूरी, जैसे ये विकल्प याद रखना और ऑफ़लाइन रहते हुए जमा किए गए फ़ॉर्म भेजना।'
+            },
+            analytics: {
+                label: 'एनालिटिक्स',
+                description: 'गुमनाम उपयोग आँकड़े और त्रुटि रिपोर्ट, जिनसे हमारी प्रवेश टीम इस पेज को बेहतर बनाती है।'
+            },
+            personalization: {
+                label: 'वैयक्तिकरण',
+                description: 'इस डिवाइस पर आपकी विज़िट और पसंद याद रखता है।'
+            }
+        }
+    },
+    errors: {
+        generic: 'एक त्रुटि हुई। कृपया बाद में फिर से प्रयास करें।',
+        unexpected: 'कुछ गड़बड़ हो गई। कृपया फिर से प्रयास करें।'
+    }
+});
\ No newline at end of file
@@ -0,0 +1,353 @@
+// Marathi messages
+
+I18n.addMessages('mr', {
+    meta: {
+        title: 'पुणे विद्यापीठ | एमबीए कार्यक्रम'
+    },
+    brand: {
+        name: 'पुणे विद्यापीठ',
+        location: 'पुणे, महाराष्ट्र'
+    },
+    nav: {
+        overview: 'परिचय',
+        courses: 'अभ्यासक्रम',
+        highlights: 'वैशिष्ट्ये',
+        facilities: 'सुविधा',
+        contact: 'संपर्क',
+        language: 'भाषा',
+        toggle: 'मेनू उघडा किंवा बंद करा'
+    },
+    theme: {
+        label: 'थीम: {name}',
+        names: {
+            system: 'सिस्टमनुसार',
+            light: 'फिकट',
+            dark: 'गडद',
+            'high-contrast': 'उच्च विरोधाभास'
+        }
+    },
+    motion: {
+        label: 'ॲनिमेशन',
+        choices: {
+            system: 'सिस्टमनुसार',
+            reduce: 'कमी',
+            full: 'पूर्ण'
+        }
+    },
+    notifications: {
+        region: 'सूचना',
+        close: 'सूचना बंद करा',
+        actionHint: 'बटणांपर्यंत जाण्यासाठी {shortcut} दाबा.',
+        persist: 'मी बंद करेपर्यंत सूचना ठेवा'
+    },
+    notificationCenter: {
+        title: 'सूचना',
+        unread: 'सूचना, {count} न वाचलेल्या',
+        unreadItem: '(न वाचलेली)',
+        markAllRead: 'सर्व वाचल्या म्हणून चिन्हांकित करा',
+        clear: 'साफ करा',
+        filterLabel: 'प्रकारानुसार निवडा',
+        filters: {
+            all: 'सर्व',
+            success: 'यशस्वी',
+            error: 'त्रुटी',
+            info: 'माहिती',
+            warning: 'इशारे'
+        },
+        empty: 'अद्याप कोणतीही सूचना नाही.',
+        today: 'आज',
+        yesterday: 'काल'
+    },
+    common: {
+        apply: 'आता अर्ज करा',
+        optional: '(ऐच्छिक)',
+        scrollTop: 'वर जा',
+        dismiss: 'बंद करा',
+        reload: 'पुन्हा लोड करा',
+        confirm: 'ठीक आहे',
+        cancel: 'रद्द करा',
+        retry: 'पुन्हा प्रयत्न करा',
+        close: 'बंद करा',
+        back: 'मागे',
+        next: 'पुढे',
+        done: 'झाले'
+    },
+    hero: {
+        title: 'मास्टर ऑफ बिझनेस ॲडमिनिस्ट्रेशन (एमबीए)',
+        description: 'आमच्या उद्योगाभिमुख एमबीए कार्यक्रमासह आपल्या करिअरला नवी दिशा द्या. पुणे विद्यापीठाच्या अग्रगण्य व्यवस्थापन शिक्षणातून व्यावहारिक ज्ञान मिळवा, नेतृत्वकौशल्ये विकसित करा आणि मजबूत व्यावसायिक संपर्कजाळे उभारा.',
+        explore: 'अभ्यासक्रम पाहा'
+    },
+    overview: {
+        title: 'महाविद्यालयाचा परिचय',
+        about: 'पुणे विद्यापीठाविषयी'
+    },
+    stats: {
+        years: 'उत्कृष्टतेची वर्षे',
+        alumni: 'एमबीए माजी विद्यार्थी',
+        placement: 'प्लेसमेंट दर',
+        faculty: 'प्राध्यापक',
+        asOf: '{date} रोजीची आकडेवारी'
+    },
+    courses: {
+        title: 'एमबीए स्पेशलायझेशन',
+        subtitle: 'आमच्या विविध एमबीए स्पेशलायझेशनमधून निवड करा',
+        filter: {
+            search: 'अभ्यासक्रम शोधा',
+            searchPlaceholder: 'नाव, विषय किंवा अभ्यासक्रम कोड',
+            duration: 'कालावधी',
+            anyDuration: 'कोणताही कालावधी',
+            seats: 'जागा',
+            anySeats: 'कितीही जागा',
+            clear: 'फिल्टर काढा',
+            seatRanges: {
+                small: '60 जागांपर्यंत',
+                medium: '61 ते 120 जागा',
+                large: '120 पेक्षा जास्त जागा'
+            },
+            showing: {
+                other: '{count} पैकी {visible} अभ्यासक्रम दाखवत आहे'
+            }
+        },
+        empty: {
+            title: 'आपल्या फिल्टरशी जुळणारे अभ्यासक्रम नाहीत',
+            hint: 'वेगळा शब्द शोधून पाहा किंवा सर्व स्पेशलायझेशन पाहण्यासाठी फिल्टर काढा.'
+        },
+        duration: {
+            years: {
+                one: '{count} वर्ष',
+                other: '{count} वर्षे'
+            },
+            months: {
+                one: '{count} महिना',
+                other: '{count} महिने'
+            }
+        },
+        seatCount: {
+            other: '{count} जागा'
+        },
+        viewDetails: 'तपशील पाहा',
+        viewDetailsFor: '{title} चा तपशील पाहा',
+        tags: 'स्पेशलायझेशन',
+        facts: {
+            code: 'अभ्यासक्रम कोड',
+            duration: 'कालावधी',
+            seats: 'जागा',
+            fees: 'शुल्क',
+            feesPerYear: '{total} (दरवर्षी {perYear})',
+            coreSubjects: 'मुख्य विषय',
+            careers: 'करिअरच्या संधी',
+            notAvailable: 'उपलब्ध नाही'
+        },
+        detail: {
+            title: 'अभ्यासक्रम तपशील',
+            curriculum: 'अभ्यासक्रम रचना',
+            eligibility: 'पात्रता',
+            faculty: 'प्राध्यापक',
+            more: 'संपूर्ण अभ्यासक्रम रचना आणि प्राध्यापकांची माहिती प्रवेश कार्यालयाकडून {email} येथे उपलब्ध आहे.',
+            applyFor: '{title} साठी अर्ज करा'
+        },
+        compare: {
+            tray: 'अभ्यासक्रमांची तुलना',
+            toggle: 'तुलना करा',
+            toggleLabel: '{title} ची तुलना करा',
+            remove: '{title} तुलनेतून काढा',
+            clear: 'काढा',
+            open: 'तुलना करा ({count})',
+            needMore: 'तुलनेसाठी आणखी किमान एक अभ्यासक्रम निवडा',
+            canAdd: 'आपण आणखी {count} जोडू शकता',
+            limit: 'आपण जास्तीत जास्त {count} अभ्यासक्रमांची तुलना करू शकता. दुसरा जोडण्यासाठी एक काढा.',
+            title: 'स्पेशलायझेशनची तुलना',
+            highlighted: 'ठळक',
+            legend: 'केलेल्या ओळी आणि बाबी निवडलेल्या अभ्यासक्रमांमध्ये वेगळ्या आहेत.',
+            course: 'अभ्यासक्रम',
+            caption: '{titles} यांची तुलना',
+            differs: '(वेगळे)',
+            copyLink: 'लिंक कॉपी करा',
+            copied: 'तुलनेची लिंक कॉपी झाली.',
+            shareLink: 'ही लिंक शेअर करा: {url}'
+        }
+    },
+    highlights: {
+        title: 'ठळक वैशिष्ट्ये',
+        subtitle: 'आमचा एमबीए कार्यक्रम का निवडावा',
+        faculty: 'तज्ज्ञ प्राध्यापक',
+        partnerships: 'उद्योग भागीदारी',
+        infrastructure: 'आधुनिक पायाभूत सुविधा',
+        placement: 'प्लेसमेंट सहाय्य',
+        global: 'जागतिक अनुभव',
+        alumni: 'माजी विद्यार्थी संघटन',
+        facultyText: 'दशकांचा अनुभव असलेल्या उद्योग तज्ज्ञांकडून आणि शिक्षणतज्ज्ञांकडून शिका.',
+        partnershipsText: 'इंटर्नशिप आणि प्लेसमेंटसाठी 150+ कंपन्यांशी भक्कम सहकार्य.',
+        infrastructureText: 'कॅम्पसवर अत्याधुनिक वर्गखोल्या, ग्रंथालये आणि मनोरंजन सुविधा.',
+        placementText: 'आघाडीच्या कंपन्यांमध्ये 95% प्लेसमेंटची नोंद असलेला समर्पित प्लेसमेंट कक्ष.',
+        globalText: 'आंतरराष्ट्रीय विद्यार्थी विनिमय कार्यक्रम आणि जागतिक अनुभवाच्या संधी.',
+        alumniText: 'विविध उद्योगांमधील 5000+ माजी विद्यार्थ्यांच्या भक्कम संघटनाशी संपर्क.'
+    },
+    facilities: {
+        title: 'सुविधा आणि लाभ',
+        subtitle: 'सर्वांगीण विकासासाठी जागतिक दर्जाच्या सुविधा',
+        library: 'आधुनिक ग्रंथालय',
+        wifi: 'वाय-फाय कॅम्पस',
+        labs: 'संशोधन प्रयोगशाळा',
+        hostel: 'वसतिगृह सुविधा',
+        sports: 'क्रीडा संकुल',
+        cafeteria: 'उपाहारगृह आणि फूड कोर्ट',
+        libraryText: '50,000+ पुस्तके, नियतकालिके आणि ऑनलाइन डेटाबेस असलेले डिजिटल ग्रंथालय.',
+        wifiText: 'संपूर्ण कॅम्पसमध्ये हाय-स्पीड इंटरनेट कनेक्टिव्हिटी.',
+        labsText: 'बिझनेस ॲनालिटिक्स आणि बाजार संशोधनासाठी प्रगत प्रयोगशाळा.',
+        hostelText: 'बाहेरगावच्या विद्यार्थ्यांसाठी सुरक्षित आणि आरामदायी निवास.',
+        sportsText: 'शारीरिक तंदुरुस्तीसाठी इनडोअर आणि आउटडोअर क्रीडा सुविधा.',
+        cafeteriaText: 'स्वच्छ आणि पौष्टिक अन्नाचे अनेक पर्याय.'
+    },
+    enquiry: {
+        title: 'काही प्रश्न आहे?',
+        subtitle: 'आपली चौकशी पाठवा, आमची प्रवेश टीम आपल्याशी संपर्क साधेल',
+        name: 'नाव',
+        email: 'ईमेल',
+        phone: 'मोबाइल क्रमांक',
+        subject: 'विषय',
+        selectTopic: 'विषय निवडा',
+        message: 'संदेश',
+        submit: 'चौकशी पाठवा',
+        topics: {
+            admissions: 'प्रवेश',
+            fees: 'शुल्क आणि शिष्यवृत्ती',
+            specializations: 'स्पेशलायझेशन',
+            hostel: 'वसतिगृह आणि कॅम्पस',
+            placements: 'प्लेसमेंट',
+            other: 'इतर'
+        }
+    },
+    footer: {
+        contact: 'संपर्क माहिती',
+        apply: 'एमबीए कार्यक्रमासाठी अर्ज करा',
+        applyText: 'पुढील शैक्षणिक सत्रासाठी आपला अर्ज सुरू करा.',
+        about: '1949 पासून उत्कृष्टतेचा वारसा असलेली, उच्च शिक्षणासाठी भारतातील आघाडीच्या संस्थांपैकी एक.',
+        address: 'गणेशखिंड रस्ता, पुणे, महाराष्ट्र 411007',
+        hours: 'सोम - शुक्र: सकाळी 9:00 - सायं. 5:00',
+        helpline: 'प्रवेश हेल्पलाइन:',
+        rights: 'सर्व हक्क राखीव.',
+        privacy: 'गोपनीयता धोरण',
+        terms: 'सेवा अटी',
+        cookies: 'कुकी प्राधान्ये'
+    },
+    app: {
+        welcome: 'पुणे विद्यापीठ एमबीए कार्यक्रमात आपले स्वागत आहे! आमचे अभ्यासक्रम आणि सुविधा पाहा.',
+        compatibility: {
+            title: 'ब्राउझर सुसंगतता सूचना',
+            body: 'आपला ब्राउझर या संकेतस्थळाची सर्व वैशिष्ट्ये कदाचित चालवू शकणार नाही. उत्तम अनुभवासाठी Chrome, Firefox, Safari किंवा Edge ची नवीनतम आवृत्ती वापरा.'
+        },
+        update: 'नवीन आवृत्ती उपलब्ध आहे.',
+        online: 'आपण पुन्हा ऑनलाइन आहात!',
+        onlineCached: 'आपण पुन्हा ऑनलाइन आहात! नवीन मजकुरासाठी पान पुन्हा लोड करा.',
+        offline: 'आपण ऑफलाइन आहात. काही वैशिष्ट्ये कदाचित चालणार नाहीत.',
+        offlineCached: 'आपण ऑफलाइन आहात. हे पान कॅशेमधून दाखवले जात आहे.'
+    },
+    forms: {
+        // Labels carry the possessive so the messages avoid gendered verbs
+        labels: {
+            enquiry: 'आपली चौकशी',
+            application: 'आपला अर्ज'
+        },
+        invalid: 'कृपया ठळक केलेल्या फील्ड दुरुस्त करा.',
+        thanks: 'धन्यवाद! आम्हाला आपला संदेश मिळाला असून आम्ही लवकरच आपल्याशी संपर्क साधू.',
+        queuedOffline: 'आपण ऑफलाइन आहात. आपण पुन्हा ऑनलाइन आल्यावर आम्ही {label} पाठवू.',
+        queuedNetwork: 'सर्व्हरशी संपर्क होऊ शकला नाही. कनेक्शन परत येताच आम्ही {label} आपोआप पाठवू.',
+        sent: 'यशस्वीरीत्या पाठवले: {label}',
+        failed: 'पाठवता आले नाही ({label}): {error}',
+        errors: {
+            required: 'हे फील्ड आवश्यक आहे.',
+            email: 'कृपया वैध ईमेल पत्ता लिहा.',
+            mobile: 'कृपया वैध 10 अंकी भारतीय मोबाइल क्रमांक लिहा.',
+            pincode: 'कृपया वैध 6 अंकी पिन कोड लिहा.',
+            number: 'कृपया संख्या लिहा.',
+            minLength: 'कृपया किमान {min} अक्षरे लिहा.',
+            maxLength: 'कृपया {max} पेक्षा जास्त अक्षरे लिहू नका.',
+            min: 'कृपया किमान {min} इतके मूल्य लिहा.',
+            max: 'कृपया {max} पेक्षा जास्त मूल्य लिहू नका.',
+            pattern: 'कृपया विनंती केलेल्या स्वरूपात लिहा.',
+            match: '{label} शी जुळले पाहिजे.',
+            mismatch: 'फील्ड जुळत नाहीत.',
+            emailMismatch: 'ईमेल पत्ते जुळत नाहीत.',
+            minAggregate: 'किमान 50% एकूण गुण आवश्यक आहेत.'
+        }
+    },
+    apply: {
+        unavailable: 'अर्ज उघडता आला नाही. कृपया प्रवेश कार्यालयाशी संपर्क साधा.',
+        thanks: 'आपल्या स्वारस्याबद्दल धन्यवाद! आमची प्रवेश टीम लवकरच आपल्याशी संपर्क साधेल.',
+        submitting: 'आपला अर्ज पाठवत आहे…',
+        submitted: 'अर्ज यशस्वीरित्या सादर झाला! {reference}',
+        reference: 'आपला संदर्भ क्रमांक {id} आहे.',
+        unreachable: 'प्रवेश सर्व्हरशी संपर्क होऊ शकला नाही. कृपया आपले कनेक्शन तपासा आणि पुन्हा प्रयत्न करा.',
+        title: 'एमबीए अर्ज',
+        steps: {
+            personal: 'वैयक्तिक',
+            academic: 'शैक्षणिक',
+            entranceExam: 'प्रवेश परीक्षा',
+            preferences: 'स्पेशलायझेशन',
+            review: 'पुनरावलोकन'
+        },
+        legends: {
+            personal: 'वैयक्तिक तपशील',
+            academic: 'शैक्षणिक इतिहास',
+            entranceExam: 'प्रवेश परीक्षेचे गुण',
+            preferences: 'स्पेशलायझेशन पसंती',
+            review: 'आपल्या अर्जाचे पुनरावलोकन करा'
+        },
+        fields: {
+            fullName: 'पूर्ण नाव',
+            dateOfBirth: 'जन्मतारीख',
+            email: 'ईमेल',
+            confirmEmail: 'ईमेलची पुष्टी करा',
+            phone: 'मोबाइल क्रमांक',
+            city: 'शहर',
+            pincode: 'पिन कोड',
+            degree: 'पदवी',
+            university: 'विद्यापीठ',
+            graduationYear: 'पदवी उत्तीर्ण वर्ष',
+            percentage: 'एकूण टक्केवारी',
+            exam: 'प्रवेश परीक्षा',
+            examYear: 'परीक्षेचे वर्ष',
+            score: 'गुण',
+            percentile: 'पर्सेंटाइल',
+            firstChoice: 'पहिली पसंती',
+            secondChoice: 'दुसरी पसंती',
+            statement: 'हे स्पेशलायझेशन का?'
+        },
+        selectDegree: 'पदवी निवडा',
+        otherDegree: 'इतर',
+        selectExam: 'परीक्षा निवडा',
+        selectSpecialization: 'स्पेशलायझेशन निवडा',
+        noSecondChoice: 'दुसरी पसंती नाही',
+        declaration: 'मी दिलेली माहिती बरोबर आहे.',
+        submit: 'अर्ज सादर करा',
+        submitBusy: 'सादर करत आहे…'
+    },
+    consent: {
+        region: 'कुकी संमती',
+        text: 'ही साइट चालवण्यासाठी आम्ही केवळ अत्यावश्यक स्टोरेज वापरतो. आपल्या परवानगीने आमची प्रवेश माहिती सुधारण्यासाठी ॲनालिटिक्स वापरायला आणि आपल्या पसंती लक्षात ठेवायला आम्हाला आवडेल.',
+        preferences: 'पसंती',
+        reject: 'अनावश्यक नाकारा',
+        accept: 'सर्व स्वीकारा',
+        title: 'गोपनीयता पसंती',
+        save: 'पसंती जतन करा',
+        categories: {
+            necessary: {
+                label: 'अत्यावश्यक',
+                description: 'साइट चालण्यासाठी आवश्यक, जसे की या निवडी लक्षात ठेवणे आणि ऑफलाइन असताना सादर केलेले फॉर्म पाठवणे.'
+            },
+            analytics: {
+                label: 'ॲनालिटिक्स',
+                description: 'निनावी वापर आकडेवारी आणि त्रुटी अहवाल, जे आमच्या प्रवेश टीमला हे पेज सुधारण्यास मदत करतात.'
+            },
+            personalization: {
+                label: 'वैयक्तिकरण',
+                description: 'या डिव्हाइसवर आपल्या भेटी आणि पसंती लक्षात ठेवते.'
+            }
+        }
+    },
+    errors: {
+        generic: 'एक त्रुटी आली. कृपया नंतर पुन्हा प्रयत्न करा.',
+        unexpected: 'काहीतरी चुकले. कृपया पुन्हा प्रयत्न करा.'
+    }
+});
\ No newline at end of file
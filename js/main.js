@@ -1,27 +1,36 @@
 // Main JavaScript Entry Point
 
-// Import configuration and helpers
-import Config from './core/config.js';
-import Helpers from './core/helpers.js';
-
-// Import modules
-import SmoothScroll from './modules/smooth-scroll.js';
-import Animations from './modules/animations.js';
-import Navbar from './modules/navbar.js';
-import Notifications from './modules/notifications.js';
-import Counters from './modules/counters.js';
+// Config, Helpers and the modules are loaded as scripts by index.html
+// and register themselves with ModuleRegistry
 
 // Main application class
 class PuneUniversityApp {
     constructor() {
         this.config = Config;
         this.helpers = Helpers;
+        this.registry = ModuleRegistry;
+        this.events = EventBus;
+        this.i18n = I18n;
+        this.motion = Motion;
+        this.scroll = ScrollScheduler;
+        this.updateRequested = false;
         this.modules = {
             smoothScroll: SmoothScroll,
+            router: Router,
+            reveal: Reveal,
             animations: Animations,
             navbar: Navbar,
+            theme: Theme,
             notifications: Notifications,
-            counters: Counters
+            notificationCenter: NotificationCenter,
+            counters: Counters,
+            stats: Stats,
+            courses: Courses,
+            courseFilter: CourseFilter,
+            courseDetail: CourseDetail,
+            courseCompare: CourseCompare,
+            consent: Consent,
+            analytics: Analytics
         };
         
         this.init();
@@ -48,7 +57,14 @@ class PuneUniversityApp {
         // Set up service worker (if any)
         this.setupServiceWorker();
         
+        // Send submissions left over from an earlier offline visit
+        if (navigator.onLine) {
+            this.flushRequestQueue();
+        }
+        
         console.log('Pune University MBA Program - Initialized');
+        
+        this.events.emit('app:ready', { version: this.getVersion() });
     }
 
     /**
@@ -82,12 +98,10 @@ class PuneUniversityApp {
         warning.className = 'compatibility-warning';
         warning.innerHTML = `
             <div class="warning-content">
-                <h3>Browser Compatibility Notice</h3>
-                <p>Your browser may not support all features of this website. 
-                For the best experience, please use the latest version of Chrome, 
-                Firefox, Safari, or Edge.</p>
+                <h3>${this.i18n.t('app.compatibility.title')}</h3>
+                <p>${this.i18n.t('app.compatibility.body')}</p>
                 <button class="btn btn-sm btn-primary" onclick="this.parentNode.parentNode.remove()">
-                    Dismiss
+                    ${this.i18n.t('common.dismiss')}
                 </button>
             </div>
         `;
@@ -145,12 +159,8 @@ class PuneUniversityApp {
      * Initialize all modules
      */
     initModules() {
-        // Initialize each module
-        Object.values(this.modules).forEach(module => {
-            if (typeof module.init === 'function') {
-                module.init();
-            }
-        });
+        // Each module is initialized once, in dependency order
+        this.registry.initAll();
     }
 
     /**
@@ -191,14 +201,10 @@ class PuneUniversityApp {
      * Set up analytics
      */
     setupAnalytics() {
-        // This is where you would initialize Google Analytics or other analytics tools
-        // Example:
-        // if (typeof gtag !== 'undefined') {
-        //     gtag('config', 'GA_MEASUREMENT_ID');
-        // }
-        
-        // For now, we'll just log page views
-        console.log('Page viewed:', window.location.pathname);
+        // The adapter is chosen in Config.ANALYTICS
+        if (this.config.ANALYTICS.ENABLED) {
+            this.modules.analytics.start();
+        }
     }
 
     /**
@@ -206,16 +212,74 @@ class PuneUniversityApp {
      */
     setupServiceWorker() {
         // Check if service workers are supported
-        if ('serviceWorker' in navigator) {
-            // Register service worker
-            navigator.serviceWorker.register('/service-worker.js')
-                .then(registration => {
-                    console.log('ServiceWorker registration successful with scope:', registration.scope);
-                })
-                .catch(error => {
-                    console.log('ServiceWorker registration failed:', error);
-                });
+        if (!('serviceWorker' in navigator)) return;
+        
+        // Reload once the new worker has taken over
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading || !this.updateRequested) return;
+            reloading = true;
+            window.location.reload();
+        });
+        
+        // Register service worker
+        navigator.serviceWorker.register(this.config.SERVICE_WORKER.URL)
+            .then(registration => {
+                console.log('ServiceWorker registration successful with scope:', registration.scope);
+                this.watchServiceWorker(registration);
+            })
+            .catch(error => {
+                console.log('ServiceWorker registration failed:', error);
+            });
+    }
+
+    /**
+     * Watch a service worker registration for waiting updates
+     * @param {ServiceWorkerRegistration} registration - Service worker registration
+     */
+    watchServiceWorker(registration) {
+        // An update may already be waiting from a previous visit
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdatePrompt(registration.waiting);
         }
+        
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            
+            worker.addEventListener('statechange', () => {
+                // First installs have no controller and need no prompt
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdatePrompt(worker);
+                }
+            });
+        });
+    }
+
+    /**
+     * Show "update available" prompt for a waiting service worker
+     * @param {ServiceWorker} worker - Waiting service worker
+     */
+    showUpdatePrompt(worker) {
+        const prompt = this.modules.notifications.info(this.i18n.t('app.update'), 0, {
+            actions: [{ id: 'reload', label: this.i18n.t('common.reload'), primary: true }]
+        });
+        
+        prompt.promise.then(({ action }) => {
+            if (action !== 'reload') return;
+            
+            // The page reloads once the new worker takes control
+            this.updateRequested = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        });
+    }
+
+    /**
+     * Check whether the page is controlled by the service worker
+     * @returns {boolean} True if requests can be served from cache
+     */
+    isServedFromCache() {
+        return 'serviceWorker' in navigator && !!navigator.serviceWorker.controller;
     }
 
     /**
@@ -230,10 +294,14 @@ class PuneUniversityApp {
         if (!localStorage.getItem('visited')) {
             setTimeout(() => {
                 this.modules.notifications.info(
-                    'Welcome to Pune University MBA Program! Explore our courses and facilities.',
+                    this.i18n.t('app.welcome'),
                     8000
                 );
-                localStorage.setItem('visited', 'true');
+                
+                // Remembering the visit needs personalization consent
+                if (this.modules.consent.has('personalization')) {
+                    localStorage.setItem('visited', 'true');
+                }
             }, 2000);
         }
     }
@@ -272,14 +340,52 @@ class PuneUniversityApp {
      * Online handler
      */
     onOnline() {
-        this.modules.notifications.success('You are back online!', 3000);
+        if (this.isServedFromCache()) {
+            this.modules.notifications.success(this.i18n.t('app.onlineCached'), 5000);
+        } else {
+            this.modules.notifications.success(this.i18n.t('app.online'), 3000);
+        }
+        
+        // Send anything submitted while offline
+        this.flushRequestQueue();
+        
+        this.events.emit('app:online');
+    }
+
+    /**
+     * Replay queued submissions and report the server results
+     */
+    flushRequestQueue() {
+        if (HttpClient.getQueue().length === 0) return;
+        
+        HttpClient.flushQueue().then(({ sent, failed }) => {
+            const labelOf = item => this.i18n.t(`forms.labels.${item.label}`, { defaultValue: item.label });
+            
+            sent.forEach(({ item, data }) => {
+                this.modules.notifications.success(
+                    (data && data.message) || this.i18n.t('forms.sent', { label: labelOf(item) })
+                );
+            });
+            
+            failed.forEach(({ item, error }) => {
+                this.modules.notifications.error(
+                    this.i18n.t('forms.failed', { label: labelOf(item), error: error.message })
+                );
+            });
+        });
     }
 
     /**
      * Offline handler
      */
     onOffline() {
-        this.modules.notifications.warning('You are offline. Some features may not work.', 5000);
+        if (this.isServedFromCache()) {
+            this.modules.notifications.warning(this.i18n.t('app.offlineCached'), 5000);
+        } else {
+            this.modules.notifications.warning(this.i18n.t('app.offline'), 5000);
+        }
+        
+        this.events.emit('app:offline');
     }
 
     /**
@@ -309,7 +415,7 @@ class PuneUniversityApp {
         return {
             name: 'Pune University MBA Program',
             version: this.getVersion(),
-            modules: Object.keys(this.modules),
+            modules: this.registry.getAll(),
             config: this.config.COLLEGE
         };
     }
@@ -338,12 +444,11 @@ class PuneUniversityApp {
      * Destroy application
      */
     destroy() {
-        // Clean up modules
-        Object.values(this.modules).forEach(module => {
-            if (typeof module.destroy === 'function') {
-                module.destroy();
-            }
-        });
+        // Clean up modules in reverse dependency order
+        this.registry.destroyAll();
+        
+        // Drop every event subscription
+        this.events.clear();
         
         // Remove event listeners
         window.removeEventListener('load', this.onWindowLoad);
@@ -0,0 +1,314 @@
+// Analytics Module
+
+class Analytics {
+    /**
+     * Initialize analytics
+     */
+    static init() {
+        Analytics.queue = [];
+        Analytics.started = false;
+        Analytics.listening = false;
+        Analytics.startedForms = new Set();
+        Analytics.submittedForms = new Set();
+
+        // Follow the visitor's analytics consent
+        Consent.onChange(() => {
+            if (Consent.has('analytics') && Config.ANALYTICS.ENABLED) {
+                Analytics.start();
+            } else {
+                Analytics.stop();
+            }
+        });
+    }
+
+    /**
+     * Start tracking with the configured adapter (requires analytics consent)
+     */
+    static start() {
+        if (Analytics.started || !Consent.has('analytics')) return;
+
+        const adapterName = Config.ANALYTICS.ADAPTER;
+        Analytics.adapter = Analytics.adapters[adapterName];
+
+        if (!Analytics.adapter) {
+            console.warn(`Analytics adapter "${adapterName}" not found`);
+            return;
+        }
+
+        Analytics.started = true;
+
+        // Listeners stay attached across consent changes; track() checks started
+        if (!Analytics.listening) {
+            Analytics.listening = true;
+            Analytics.setupSectionImpressions();
+            Analytics.setupClickTracking();
+            Analytics.setupFormTracking();
+            Analytics.setupFlushListeners();
+        }
+
+        Analytics.flushTimer = setInterval(() => {
+            Analytics.flush();
+        }, Config.ANALYTICS.FLUSH_INTERVAL);
+
+        Analytics.trackPageView();
+    }
+
+    /**
+     * Stop tracking and drop anything not yet sent
+     */
+    static stop() {
+        if (!Analytics.started) return;
+
+        Analytics.started = false;
+        Analytics.queue = [];
+        clearInterval(Analytics.flushTimer);
+    }
+
+    /**
+     * Register an analytics adapter
+     * @param {string} name - Adapter name used in Config.ANALYTICS.ADAPTER
+     * @param {Object} adapter - Adapter with a send(events) method
+     */
+    static registerAdapter(name, adapter) {
+        if (typeof adapter.send !== 'function') {
+            console.error(`Analytics adapter "${name}" must implement send(events)`);
+            return;
+        }
+
+        Analytics.adapters[name] = adapter;
+    }
+
+    /**
+     * Track an event
+     * @param {string} name - Event name
+     * @param {Object} properties - Event properties
+     */
+    static track(name, properties = {}) {
+        if (!Analytics.started) return;
+
+        Analytics.queue.push({
+            name,
+            properties,
+            path: window.location.pathname,
+            timestamp: new Date().toISOString()
+        });
+
+        if (Analytics.queue.length >= Config.ANALYTICS.BATCH_SIZE) {
+            Analytics.flush();
+        }
+    }
+
+    /**
+     * Send queued events through the adapter
+     */
+    static flush() {
+        if (!Analytics.started || !Analytics.adapter || Analytics.queue.length === 0) return;
+
+        const events = Analytics.queue.splice(0, Analytics.queue.length);
+
+        try {
+            Analytics.adapter.send(events);
+        } catch (error) {
+            console.error('Analytics adapter failed:', error);
+        }
+    }
+
+    /**
+     * Track the current page view
+     */
+    static trackPageView() {
+        Analytics.track('page_view', {
+            title: document.title,
+            referrer: document.referrer,
+            hash: window.location.hash
+        });
+    }
+
+    /**
+     * Track sections from the navbar the first time they are seen
+     */
+    static setupSectionImpressions() {
+        if (!('IntersectionObserver' in window)) return;
+
+        const seen = new Set();
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting || seen.has(entry.target.id)) return;
+
+                seen.add(entry.target.id);
+                Analytics.track('section_impression', { section: entry.target.id });
+                observer.unobserve(entry.target);
+            });
+        }, {
+            threshold: 0.4
+        });
+
+        Navbar.getSections().forEach(section => {
+            observer.observe(section);
+        });
+    }
+
+    /**
+     * Track CTA, social and outbound link clicks
+     */
+    static setupClickTracking() {
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a, button');
+            if (!link) return;
+
+            const section = link.closest('section[id], footer[id], header');
+            const location = section ? (section.id || 'navbar') : 'page';
+
+            if (link.matches('[data-apply]')) {
+                Analytics.track('cta_click', {
+                    cta: 'apply',
+                    location,
+                    specialization: link.dataset.apply || null
+                });
+                return;
+            }
+
+            if (link.dataset.social) {
+                Analytics.track('social_click', {
+                    network: link.dataset.social,
+                    url: link.href
+                });
+                return;
+            }
+
+            if (link.tagName === 'A' && link.hostname && link.hostname !== window.location.hostname) {
+                Analytics.track('outbound_click', { url: link.href, location });
+                return;
+            }
+
+            if (link.classList.contains('btn')) {
+                Analytics.track('cta_click', {
+                    cta: link.textContent.trim(),
+                    location
+                });
+            }
+        });
+    }
+
+    /**
+     * Track form starts, submits and abandons
+     */
+    static setupFormTracking() {
+        document.addEventListener('input', (e) => {
+            const form = e.target.form;
+            if (!Analytics.started || !form || Analytics.startedForms.has(form)) return;
+
+            // Search and filter forms are never "submitted", so they would always count as abandoned
+            if (form.matches('[role="search"]')) return;
+
+            Analytics.startedForms.add(form);
+            Analytics.track('form_start', { form: Analytics.getFormName(form) });
+        });
+
+        // Only submissions that passed validation count; a queued form is sent later
+        const onSubmitted = ({ form }, queued) => {
+            if (!Analytics.started || !form) return;
+
+            Analytics.submittedForms.add(form);
+            Analytics.track('form_submit', { form: Analytics.getFormName(form), queued });
+        };
+
+        EventBus.on('form:submitted', data => onSubmitted(data, false));
+        EventBus.on('form:queued', data => onSubmitted(data, true));
+    }
+
+    /**
+     * Record forms that were started but never submitted
+     */
+    static trackAbandonedForms() {
+        if (!Analytics.started) return;
+
+        Analytics.startedForms.forEach(form => {
+            if (Analytics.submittedForms.has(form)) return;
+
+            Analytics.track('form_abandon', { form: Analytics.getFormName(form) });
+        });
+
+        // Only report each abandon once
+        Analytics.startedForms.clear();
+    }
+
+    /**
+     * Get a readable name for a form
+     * @param {HTMLFormElement} form - Form element
+     * @returns {string} Form name
+     */
+    static getFormName(form) {
+        return form.id || form.getAttribute('name') || 'form';
+    }
+
+    /**
+     * Flush whenever the page is hidden
+     */
+    static setupFlushListeners() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                Analytics.trackAbandonedForms();
+                Analytics.flush();
+            }
+        });
+
+        window.addEventListener('pagehide', () => {
+            Analytics.trackAbandonedForms();
+            Analytics.flush();
+        });
+    }
+
+    /**
+     * Stop tracking and send anything still queued
+     */
+    static destroy() {
+        Analytics.flush();
+        Analytics.stop();
+    }
+}
+
+// Built-in adapters
+Analytics.adapters = {
+    // Sends batches to Config.ANALYTICS.ENDPOINT without delaying page unload
+    beacon: {
+        send(events) {
+            const url = Config.API.BASE_URL + Config.ANALYTICS.ENDPOINT;
+            const body = JSON.stringify({ events });
+
+            if (navigator.sendBeacon) {
+                const blob = new Blob([body], { type: 'application/json' });
+                if (navigator.sendBeacon(url, blob)) return;
+            }
+
+            fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            }).catch(() => {});
+        }
+    },
+
+    // Logs batches for local development
+    console: {
+        send(events) {
+            console.log('Analytics batch:', events);
+        }
+    }
+};
+
+Analytics.queue = [];
+Analytics.started = false;
+Analytics.listening = false;
+
+// Register module
+ModuleRegistry.register('analytics', Analytics, {
+    dependencies: ['config', 'event-bus', 'consent', 'navbar']
+});
+
+// Export module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Analytics;
+}
\ No newline at end of file
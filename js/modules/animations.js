@@ -3,54 +3,36 @@
 class Animations {
     /**
      * Initialize animations
-     * @param {HTMLElement} element - Element to initialize on
      */
-    static init(element = document) {
-        // Set up scroll animations
-        Animations.setupScrollAnimations();
+    static init() {
+        // Add animation keyframes
+        Animations.addAnimationKeyframes();
         
-        // Set up hover animations
-        Animations.setupHoverAnimations();
+        // Scroll reveals are declared in markup with data-reveal (see Reveal)
         
-        // Set up intersection observer for complex animations
-        Animations.setupIntersectionObserver();
+        // Set up button hover animations
+        Animations.setupButtonHover();
         
         // Set up parallax effect
         Animations.setupParallax();
     }
 
     /**
-     * Set up scroll animations
+     * Scope card animations to an element
+     * @param {HTMLElement} element - Section to animate
      */
-    static setupScrollAnimations() {
-        // Add scroll event listener for fade-in animations
-        window.addEventListener('scroll', Animations.handleScrollAnimations);
-        
-        // Trigger once on load
-        setTimeout(() => {
-            Animations.handleScrollAnimations();
-        }, 100);
-    }
-
-    /**
-     * Handle scroll animations
-     */
-    static handleScrollAnimations() {
-        const animatedElements = document.querySelectorAll('.fade-in, .slide-up');
-        
-        animatedElements.forEach(element => {
-            if (Helpers.isInViewport(element, 100)) {
-                element.classList.add('visible');
-            }
-        });
+    static mount(element) {
+        // Set up card hover animations (stat numbers belong to Counters)
+        Animations.setupHoverAnimations(element);
     }
 
     /**
      * Set up hover animations
+     * @param {HTMLElement} element - Element containing cards
      */
-    static setupHoverAnimations() {
+    static setupHoverAnimations(element = document) {
         // Add hover effects to cards
-        const cards = document.querySelectorAll('.course-card, .highlight-card, .stat-card');
+        const cards = element.querySelectorAll('.course-card, .highlight-card, .stat-card');
         
         cards.forEach(card => {
             // Add mouseenter event
@@ -69,12 +51,19 @@ class Animations {
                 }, 300);
             });
         });
-        
+    }
+
+    /**
+     * Set up button hover animations
+     */
+    static setupButtonHover() {
         // Add hover effects to buttons
         const buttons = document.querySelectorAll('.btn');
         
         buttons.forEach(button => {
             button.addEventListener('mouseenter', () => {
+                if (Motion.isReduced()) return;
+                
                 button.style.transform = 'translateY(-2px)';
                 button.style.boxShadow = '0 5px 15px rgba(0, 0, 0, 0.2)';
             });
@@ -86,114 +75,34 @@ class Animations {
         });
     }
 
-    /**
-     * Set up intersection observer
-     */
-    static setupIntersectionObserver() {
-        // Check if IntersectionObserver is supported
-        if ('IntersectionObserver' in window) {
-            // Set up observer for staggered animations
-            const observerOptions = {
-                root: null,
-                rootMargin: '0px',
-                threshold: 0.1
-            };
-            
-            const observer = new IntersectionObserver((entries) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        // Add animation class based on element type
-                        if (entry.target.classList.contains('course-card') || 
-                            entry.target.classList.contains('highlight-card')) {
-                            const delay = entry.target.dataset.delay || 0;
-                            entry.target.style.animationDelay = `${delay}ms`;
-                            entry.target.classList.add('animate-in');
-                        }
-                        
-                        // For stat cards, animate the numbers
-                        if (entry.target.classList.contains('stat-card')) {
-                            Animations.animateStatNumbers(entry.target);
-                        }
-                        
-                        observer.unobserve(entry.target);
-                    }
-                });
-            }, observerOptions);
-            
-            // Observe elements
-            const cardsToObserve = document.querySelectorAll('.course-card, .highlight-card, .stat-card');
-            cardsToObserve.forEach((card, index) => {
-                card.dataset.delay = index * 100; // Stagger animation
-                observer.observe(card);
-            });
-        }
-    }
-
-    /**
-     * Animate stat numbers
-     * @param {HTMLElement} statCard - Stat card element
-     */
-    static animateStatNumbers(statCard) {
-        const numberElement = statCard.querySelector('.stat-number');
-        if (!numberElement) return;
-        
-        const originalText = numberElement.textContent;
-        const numberValue = parseInt(originalText);
-        
-        // Only animate if it's a number
-        if (isNaN(numberValue)) return;
-        
-        // Check if already animated
-        if (numberElement.classList.contains('animated')) return;
-        
-        // Mark as animated
-        numberElement.classList.add('animated');
-        
-        // Clear the text
-        numberElement.textContent = '0';
-        
-        // Animate counting up
-        let startTimestamp = null;
-        const duration = 1500; // 1.5 seconds
-        
-        function step(timestamp) {
-            if (!startTimestamp) startTimestamp = timestamp;
-            const progress = Math.min((timestamp - startTimestamp) / duration, 1);
-            
-            // Easing function for smooth animation
-            const easeOutQuart = 1 - Math.pow(1 - progress, 4);
-            
-            const currentNumber = Math.floor(easeOutQuart * numberValue);
-            numberElement.textContent = currentNumber + originalText.replace(numberValue, '');
-            
-            if (progress < 1) {
-                window.requestAnimationFrame(step);
-            } else {
-                numberElement.textContent = originalText;
-            }
-        }
-        
-        window.requestAnimationFrame(step);
-    }
-
     /**
      * Set up parallax effect
      */
     static setupParallax() {
         const heroSection = document.querySelector('.hero-section');
         
-        if (heroSection) {
-            window.addEventListener('scroll', () => {
-                const scrolled = window.pageYOffset;
-                const rate = scrolled * -0.5;
+        // Apply parallax to background if it exists
+        const background = heroSection && heroSection.querySelector('.hero-background');
+        if (!background) return;
+        
+        // Decoration only, so it runs after everything else
+        ScrollScheduler.subscribe({
+            priority: ScrollScheduler.PRIORITY.LOW,
+            write: state => {
+                // No parallax while motion is reduced
+                if (Motion.isReduced()) return;
                 
-                // Apply parallax to background if it exists
-                const background = heroSection.querySelector('.hero-background');
-                if (background) {
-                    background.style.transform = `translate3d(0px, ${rate}px, 0px)`;
-                }
-            });
-        }
+                const rate = state.scrollY * -0.5;
+                background.style.transform = `translate3d(0px, ${rate}px, 0px)`;
+            }
+        });
+        
+        // Put the background back in place when motion gets reduced
+        EventBus.on('motion:change', ({ reduced }) => {
+            if (reduced) {
+                background.style.transform = '';
+            }
+        });
     }
 
     /**
@@ -278,6 +187,38 @@ class Animations {
         document.head.appendChild(style);
     }
 
+    /**
+     * Fade an element in (un-hiding it first)
+     * @param {HTMLElement} element - Element to show
+     */
+    static show(element) {
+        clearTimeout(Animations.hideTimers.get(element));
+        Animations.hideTimers.delete(element);
+        
+        element.hidden = false;
+        element.classList.add('fade-in');
+        
+        // Force a reflow so the transition runs from the hidden state
+        void element.offsetWidth;
+        element.classList.add('visible');
+    }
+
+    /**
+     * Fade an element out, then hide it
+     * @param {HTMLElement} element - Element to hide
+     */
+    static hide(element) {
+        if (element.hidden || Animations.hideTimers.has(element)) return;
+        
+        element.classList.add('fade-in');
+        element.classList.remove('visible');
+        
+        Animations.hideTimers.set(element, setTimeout(() => {
+            Animations.hideTimers.delete(element);
+            element.hidden = true;
+        }, Motion.duration(Config.ANIMATION.FADE_DURATION)));
+    }
+
     /**
      * Reset all animations
      */
@@ -286,19 +227,26 @@ class Animations {
         animatedElements.forEach(element => {
             element.classList.remove('visible', 'animate-in', 'animated');
         });
+        
+        // Replay scroll reveals
+        Reveal.reset();
     }
 
     /**
      * Trigger animations manually
      */
     static trigger() {
-        Animations.handleScrollAnimations();
+        // Pick up marked elements the reveal engine has not seen yet
+        Reveal.scan();
     }
 }
 
-// Add animation keyframes when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    Animations.addAnimationKeyframes();
+// Pending hide() timers by element
+Animations.hideTimers = new Map();
+
+// Register module
+ModuleRegistry.register('animations', Animations, {
+    dependencies: ['config', 'helpers', 'event-bus', 'motion', 'scroll-scheduler', 'reveal']
 });
 
 // Export module
@@ -0,0 +1,318 @@
+// Application Wizard Module
+
+class ApplicationWizard {
+    /**
+     * Initialize application wizard
+     */
+    static init() {
+        ApplicationWizard.form = null;
+        ApplicationWizard.modalElement = null;
+        ApplicationWizard.currentStep = 0;
+        ApplicationWizard.submitting = false;
+    }
+
+    /**
+     * Mount the wizard on its form
+     * @param {HTMLFormElement} form - Application form
+     */
+    static mount(form) {
+        ApplicationWizard.form = form;
+        ApplicationWizard.modalElement = form.closest('.modal');
+        ApplicationWizard.steps = Array.from(form.querySelectorAll('.wizard-step'));
+        ApplicationWizard.indicators = Array.from(form.querySelectorAll('.wizard-step-indicator'));
+        ApplicationWizard.backButton = form.querySelector('.wizard-back');
+        ApplicationWizard.nextButton = form.querySelector('.wizard-next');
+        ApplicationWizard.submitButton = form.querySelector('.wizard-submit');
+
+        // Step navigation
+        ApplicationWizard.backButton.addEventListener('click', () => {
+            ApplicationWizard.goTo(ApplicationWizard.currentStep - 1);
+        });
+
+        ApplicationWizard.nextButton.addEventListener('click', () => {
+            ApplicationWizard.next();
+        });
+
+        // Final submission
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            ApplicationWizard.submit();
+        });
+
+        // Validate fields on blur using their data-validate rules
+        FormValidator.attach(form);
+
+        // The review repeats labels and option text from the other steps, and
+        // translating the markup resets the submit button's busy label
+        EventBus.on('locale:change', () => {
+            if (ApplicationWizard.currentStep === ApplicationWizard.steps.length - 1) {
+                ApplicationWizard.renderReview();
+            }
+            if (ApplicationWizard.submitting) {
+                ApplicationWizard.setSubmitting(true);
+            }
+        });
+
+        ApplicationWizard.goTo(0);
+    }
+
+    /**
+     * Open the wizard
+     * @param {Object} options - Open options
+     * @param {string} options.specialization - Pre-selected first choice
+     * @returns {boolean} True if the wizard could be opened
+     */
+    static open(options = {}) {
+        const modal = ApplicationWizard.getModal();
+        if (!modal) return false;
+
+        if (options.specialization) {
+            const firstChoice = ApplicationWizard.form.elements.firstChoice;
+            if (firstChoice) {
+                firstChoice.value = options.specialization;
+            }
+        }
+
+        modal.show();
+        return true;
+    }
+
+    /**
+     * Close the wizard
+     */
+    static close() {
+        const modal = ApplicationWizard.getModal();
+        if (modal) {
+            modal.hide();
+        }
+    }
+
+    /**
+     * Get the Bootstrap modal instance
+     * @returns {Object|null} Modal instance or null if unavailable
+     */
+    static getModal() {
+        if (!ApplicationWizard.modalElement || typeof bootstrap === 'undefined') {
+            return null;
+        }
+
+        return bootstrap.Modal.getOrCreateInstance(ApplicationWizard.modalElement);
+    }
+
+    /**
+     * Move to the next step if the current one is valid
+     */
+    static next() {
+        if (!ApplicationWizard.validateStep(ApplicationWizard.currentStep)) return;
+
+        ApplicationWizard.goTo(ApplicationWizard.currentStep + 1);
+    }
+
+    /**
+     * Show a step
+     * @param {number} index - Step index
+     */
+    static goTo(index) {
+        const lastIndex = ApplicationWizard.steps.length - 1;
+        const stepIndex = Math.max(0, Math.min(index, lastIndex));
+
+        ApplicationWizard.currentStep = stepIndex;
+
+        ApplicationWizard.steps.forEach((step, i) => {
+            step.hidden = i !== stepIndex;
+        });
+
+        ApplicationWizard.indicators.forEach((indicator, i) => {
+            indicator.classList.toggle('active', i === stepIndex);
+            indicator.classList.toggle('complete', i < stepIndex);
+
+            if (i === stepIndex) {
+                indicator.setAttribute('aria-current', 'step');
+            } else {
+                indicator.removeAttribute('aria-current');
+            }
+        });
+
+        // Review step shows everything entered so far
+        if (stepIndex === lastIndex) {
+            ApplicationWizard.renderReview();
+        }
+
+        ApplicationWizard.backButton.hidden = stepIndex === 0;
+        ApplicationWizard.nextButton.hidden = stepIndex === lastIndex;
+        ApplicationWizard.submitButton.hidden = stepIndex !== lastIndex;
+    }
+
+    /**
+     * Validate the fields of a step
+     * @param {number} index - Step index
+     * @returns {boolean} True if every field is valid
+     */
+    static validateStep(index) {
+        if (FormValidator.validate(ApplicationWizard.steps[index])) return true;
+
+        Notifications.error(I18n.t('forms.invalid'));
+        return false;
+    }
+
+    /**
+     * Get the fields of a step that carry data (confirmation fields are skipped)
+     * @param {HTMLElement} step - Step element
+     * @returns {Array<HTMLElement>} Fields
+     */
+    static getFields(step) {
+        return Array.from(step.querySelectorAll('input, select, textarea'))
+            .filter(field => !field.dataset.match);
+    }
+
+    /**
+     * Collect form values grouped by step
+     * @returns {Object} Application payload
+     */
+    static getPayload() {
+        const payload = {};
+
+        ApplicationWizard.steps.forEach(step => {
+            const fields = ApplicationWizard.getFields(step);
+            if (fields.length === 0) return;
+
+            const group = {};
+
+            fields.forEach(field => {
+                if (field.type === 'checkbox') {
+                    group[field.name] = field.checked;
+                } else if (field.type === 'number') {
+                    group[field.name] = field.value === '' ? null : Number(field.value);
+                } else {
+                    group[field.name] = field.value.trim();
+                }
+            });
+
+            payload[step.dataset.step] = group;
+        });
+
+        payload.submittedAt = new Date().toISOString();
+
+        return payload;
+    }
+
+    /**
+     * Render the review step
+     */
+    static renderReview() {
+        const review = ApplicationWizard.form.querySelector('.wizard-review');
+        if (!review) return;
+
+        const sections = ApplicationWizard.steps.slice(0, -1).map(step => {
+            const title = step.querySelector('legend').textContent;
+            const rows = ApplicationWizard.getFields(step).map(field => {
+                const label = ApplicationWizard.form.querySelector(`label[for="${field.id}"]`);
+                const value = field.tagName === 'SELECT' && field.value
+                    ? field.options[field.selectedIndex].text
+                    : field.value.trim();
+
+                return `
+                    <dt>${Helpers.sanitizeHTML(label ? label.firstChild.textContent.trim() : field.name)}</dt>
+                    <dd>${Helpers.sanitizeHTML(value || '—')}</dd>
+                `;
+            }).join('');
+
+            return `
+                <h4>${Helpers.sanitizeHTML(title)}</h4>
+                <dl class="wizard-review-list">${rows}</dl>
+            `;
+        });
+
+        review.innerHTML = sections.join('');
+    }
+
+    /**
+     * Submit the application to the configured endpoint
+     */
+    static async submit() {
+        if (ApplicationWizard.submitting) return;
+        if (!ApplicationWizard.validateStep(ApplicationWizard.currentStep)) return;
+
+        const payload = ApplicationWizard.getPayload();
+
+        ApplicationWizard.setSubmitting(true);
+
+        // One toast follows the submission from start to finish
+        const status = Notifications.info(I18n.t('apply.submitting'), 0);
+
+        try {
+            const data = await HttpClient.post(Config.API.ENDPOINTS.APPLICATION, payload) || {};
+
+            const reference = data.applicationId ? I18n.t('apply.reference', { id: data.applicationId }) : '';
+            status.update({
+                message: I18n.t('apply.submitted', { reference }).trim(),
+                type: Config.NOTIFICATION.TYPES.SUCCESS,
+                duration: 8000
+            });
+
+            EventBus.emit('form:submitted', {
+                form: ApplicationWizard.form,
+                label: 'application',
+                data: payload,
+                result: data
+            });
+
+            ApplicationWizard.reset();
+            ApplicationWizard.close();
+        } catch (error) {
+            console.error('Application submission failed:', error);
+
+            const networkError = error instanceof HttpError && error.isNetworkError;
+            const message = networkError
+                ? I18n.t('apply.unreachable')
+                : error.message;
+
+            status.update({
+                message,
+                type: Config.NOTIFICATION.TYPES.ERROR,
+                duration: Config.NOTIFICATION.DURATION,
+                actions: networkError ? [{ id: 'retry', label: I18n.t('common.retry'), primary: true }] : []
+            });
+
+            status.promise.then(({ action }) => {
+                if (action === 'retry') {
+                    ApplicationWizard.submit();
+                }
+            });
+        } finally {
+            ApplicationWizard.setSubmitting(false);
+        }
+    }
+
+    /**
+     * Toggle the submitting state
+     * @param {boolean} submitting - Whether a submission is in flight
+     */
+    static setSubmitting(submitting) {
+        ApplicationWizard.submitting = submitting;
+        ApplicationWizard.submitButton.disabled = submitting;
+        ApplicationWizard.backButton.disabled = submitting;
+        ApplicationWizard.submitButton.textContent = I18n.t(submitting ? 'apply.submitBusy' : 'apply.submit');
+    }
+
+    /**
+     * Reset the wizard to its first step
+     */
+    static reset() {
+        if (!ApplicationWizard.form) return;
+
+        ApplicationWizard.form.reset();
+        FormValidator.reset(ApplicationWizard.form);
+        ApplicationWizard.goTo(0);
+    }
+}
+
+// Register module
+ModuleRegistry.register('application', ApplicationWizard, {
+    dependencies: ['config', 'helpers', 'event-bus', 'i18n', 'http', 'notifications', 'validation']
+});
+
+// Export module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ApplicationWizard;
+}
\ No newline at end of file
@@ -0,0 +1,232 @@
+// Consent Module
+
+class Consent {
+    /**
+     * Initialize consent manager
+     */
+    static init() {
+        Consent.listeners = new Set();
+        Consent.record = Consent.load();
+
+        Consent.banner = document.getElementById('consentBanner');
+        Consent.modalElement = document.getElementById('consentModal');
+        Consent.form = null;
+
+        Consent.setupControls();
+
+        // Ask again when there is no choice yet or the policy version changed
+        if (!Consent.record) {
+            Consent.showBanner();
+        }
+    }
+
+    /**
+     * Handle the preferences form (its data-module keeps the generic form handling off it)
+     * @param {HTMLFormElement} form - Preferences form
+     */
+    static mount(form) {
+        Consent.form = form;
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const categories = {};
+            Config.CONSENT.CATEGORIES.forEach(category => {
+                const input = form.elements[category];
+                categories[category] = !!(input && input.checked);
+            });
+
+            Consent.set(categories);
+            Consent.closePreferences();
+        });
+    }
+
+    /**
+     * Load the stored consent record
+     * @returns {Object|null} Consent record or null if missing or outdated
+     */
+    static load() {
+        const record = Helpers.parseJSON(localStorage.getItem(Config.CONSENT.STORAGE_KEY), null);
+
+        if (!record || record.version !== Config.CONSENT.VERSION) {
+            return null;
+        }
+
+        return record;
+    }
+
+    /**
+     * Check whether a category has been granted
+     * @param {string} category - Consent category (necessary, analytics, personalization)
+     * @returns {boolean} True if granted
+     */
+    static has(category) {
+        if (category === 'necessary') return true;
+        return !!(Consent.record && Consent.record.categories[category]);
+    }
+
+    /**
+     * Get the current consent record
+     * @returns {Object|null} Consent record with version, timestamp and categories
+     */
+    static get() {
+        return Consent.record ? { ...Consent.record, categories: { ...Consent.record.categories } } : null;
+    }
+
+    /**
+     * Store a consent choice and notify subscribers
+     * @param {Object} categories - Granted state per optional category
+     */
+    static set(categories) {
+        const previous = Consent.record ? Consent.record.categories : {};
+        const granted = { necessary: true };
+
+        Config.CONSENT.CATEGORIES.forEach(category => {
+            if (category !== 'necessary') {
+                granted[category] = !!categories[category];
+            }
+        });
+
+        Consent.record = {
+            version: Config.CONSENT.VERSION,
+            timestamp: new Date().toISOString(),
+            categories: granted
+        };
+
+        localStorage.setItem(Config.CONSENT.STORAGE_KEY, JSON.stringify(Consent.record));
+
+        // Remove data stored under categories that were revoked
+        Object.keys(Config.CONSENT.KEYS).forEach(category => {
+            if (!granted[category]) {
+                Config.CONSENT.KEYS[category].forEach(key => localStorage.removeItem(key));
+            }
+        });
+
+        Consent.hideBanner();
+
+        Consent.listeners.forEach(listener => {
+            try {
+                listener(Consent.get(), previous);
+            } catch (error) {
+                console.error('Consent listener failed:', error);
+            }
+        });
+        
+        EventBus.emit('consent:change', { record: Consent.get(), previous });
+    }
+
+    /**
+     * Grant every category
+     */
+    static acceptAll() {
+        const categories = {};
+        Config.CONSENT.CATEGORIES.forEach(category => {
+            categories[category] = true;
+        });
+        Consent.set(categories);
+    }
+
+    /**
+     * Keep only strictly necessary storage
+     */
+    static rejectAll() {
+        Consent.set({});
+    }
+
+    /**
+     * Subscribe to consent changes
+     * @param {Function} listener - Called with (record, previousCategories)
+     * @returns {Function} Unsubscribe function
+     */
+    static onChange(listener) {
+        Consent.listeners.add(listener);
+        return () => Consent.listeners.delete(listener);
+    }
+
+    /**
+     * Wire up banner, dialog and footer controls
+     */
+    static setupControls() {
+        document.addEventListener('click', (e) => {
+            const control = e.target.closest('[data-consent]');
+            if (!control) return;
+
+            e.preventDefault();
+
+            switch (control.dataset.consent) {
+                case 'accept':
+                    Consent.acceptAll();
+                    Consent.closePreferences();
+                    break;
+                case 'reject':
+                    Consent.rejectAll();
+                    Consent.closePreferences();
+                    break;
+                case 'preferences':
+                    Consent.openPreferences();
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Show the consent banner
+     */
+    static showBanner() {
+        if (Consent.banner) {
+            Consent.banner.hidden = false;
+        }
+    }
+
+    /**
+     * Hide the consent banner
+     */
+    static hideBanner() {
+        if (Consent.banner) {
+            Consent.banner.hidden = true;
+        }
+    }
+
+    /**
+     * Open the preferences dialog with the current choices
+     */
+    static openPreferences() {
+        if (!Consent.modalElement || typeof bootstrap === 'undefined') return;
+
+        if (Consent.form) {
+            Config.CONSENT.CATEGORIES.forEach(category => {
+                const input = Consent.form.elements[category];
+                if (input && !input.disabled) {
+                    input.checked = Consent.has(category);
+                }
+            });
+        }
+
+        bootstrap.Modal.getOrCreateInstance(Consent.modalElement).show();
+    }
+
+    /**
+     * Close the preferences dialog
+     */
+    static closePreferences() {
+        if (!Consent.modalElement || typeof bootstrap === 'undefined') return;
+
+        const modal = bootstrap.Modal.getInstance(Consent.modalElement);
+        if (modal) {
+            modal.hide();
+        }
+    }
+}
+
+Consent.listeners = new Set();
+Consent.record = null;
+
+// Register module
+ModuleRegistry.register('consent', Consent, {
+    dependencies: ['config', 'helpers', 'event-bus']
+});
+
+// Export module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Consent;
+}
\ No newline at end of file
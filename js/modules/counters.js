@@ -1,19 +1,58 @@
 // Counters Module
 
+// Sole owner of .stat-number[data-count] elements. Counters count up once in
+// view, all on one requestAnimationFrame loop. Markup options:
+//
+//   data-count="4.5"               Target value; its decimals are kept
+//   data-count-prefix="₹"          Text before the number
+//   data-count-suffix="+"          Text after the number
+//   data-count-decimals="1"        Fixed number of decimals
+//   data-count-format="compact"    Short form in the page's locale: 5K, 1.2L
+//   data-count-easing="linear"     Any Helpers.easing name
+//   data-count-duration="2000"     Duration in milliseconds
 class Counters {
     /**
      * Initialize counters
-     * @param {HTMLElement} element - Element to initialize on
      */
-    static init(element = document) {
-        // Find all counter elements
-        Counters.counters = element.querySelectorAll('.stat-number[data-count]');
+    static init() {
+        // Counters are collected as elements are mounted
+        Counters.counters = [];
+        Counters.animations = new Map();
+        Counters.values = new WeakMap();
         
         // Set up intersection observer for counters
         Counters.setupObserver();
         
-        // Initialize any counters that are already in view
-        Counters.checkCounters();
+        // Re-format counters in the new language
+        EventBus.on('locale:change', () => {
+            Counters.counters
+                .filter(counter => Counters.values.has(counter) && !Counters.animations.has(counter))
+                .forEach(counter => Counters.render(counter, Counters.values.get(counter)));
+        });
+    }
+
+    /**
+     * Mount counters found inside an element
+     * @param {HTMLElement} element - Element containing counters
+     */
+    static mount(element) {
+        const counters = Array.from(element.querySelectorAll('.stat-number[data-count]'))
+            .filter(counter => !Counters.counters.includes(counter));
+        
+        Counters.counters.push(...counters);
+        
+        // Fallback: animate immediately without IntersectionObserver
+        if (!Counters.observer) {
+            counters.forEach(counter => Counters.animateCounter(counter));
+            return;
+        }
+        
+        counters.forEach(counter => {
+            Counters.observer.observe(counter);
+        });
+        
+        // Animate any counters that are already in view
+        Counters.checkCounters(counters);
     }
 
     /**
@@ -22,8 +61,7 @@ class Counters {
     static setupObserver() {
         // Check if IntersectionObserver is supported
         if (!('IntersectionObserver' in window)) {
-            // Fallback: animate all counters immediately
-            Counters.animateAll();
+            Counters.observer = null;
             return;
         }
         
@@ -40,18 +78,14 @@ class Counters {
             rootMargin: '0px',
             threshold: 0.1
         });
-        
-        // Observe all counters
-        Counters.counters.forEach(counter => {
-            Counters.observer.observe(counter);
-        });
     }
 
     /**
      * Check and animate counters that are in view
+     * @param {Array<HTMLElement>} counters - Counters to check (defaults to all)
      */
-    static checkCounters() {
-        Counters.counters.forEach(counter => {
+    static checkCounters(counters = Counters.counters) {
+        counters.forEach(counter => {
             if (Helpers.isInViewport(counter, 100)) {
                 Counters.animateCounter(counter);
                 
@@ -64,7 +98,7 @@ class Counters {
     }
 
     /**
-     * Animate a single counter
+     * Count a counter up to its data-count, once
      * @param {HTMLElement} counterElement - Counter element to animate
      */
     static animateCounter(counterElement) {
@@ -74,33 +108,129 @@ class Counters {
         }
         
         // Get target value
-        const target = parseInt(counterElement.getAttribute('data-count'));
+        const target = parseFloat(counterElement.getAttribute('data-count'));
         if (isNaN(target)) return;
         
-        // Get suffix (if any)
-        const originalText = counterElement.textContent;
-        const suffix = originalText.replace(/\d+/g, '');
-        
         // Mark as animated
         counterElement.classList.add('animated');
         
-        // Animate counting
-        let current = 0;
-        const increment = target / 50; // 50 frames
-        const duration = 1500; // 1.5 seconds
-        const stepTime = duration / 50;
-        
-        function updateCounter() {
-            current += increment;
-            if (current < target) {
-                counterElement.textContent = Math.floor(current) + suffix;
-                setTimeout(updateCounter, stepTime);
-            } else {
-                counterElement.textContent = target + suffix;
+        Counters.animateTo(counterElement, target, { from: 0 });
+    }
+
+    /**
+     * Animate a counter from its current value to a new one
+     * @param {HTMLElement} counterElement - Counter element
+     * @param {number} value - Value to count to
+     * @param {Object} options - Animation options
+     * @param {number} options.from - Start value, defaults to the value shown now
+     * @param {number} options.duration - Duration in milliseconds
+     * @param {string} options.easing - Helpers.easing name
+     */
+    static animateTo(counterElement, value, options = {}) {
+        const settings = Counters.getSettings(counterElement);
+        const from = options.from !== undefined ? options.from : Counters.getCurrent(counterElement);
+        const duration = Motion.duration(options.duration !== undefined ? options.duration : settings.duration);
+        
+        // Show the final value straight away when motion is reduced
+        if (!duration || from === value) {
+            Counters.animations.delete(counterElement);
+            Counters.render(counterElement, value);
+            Counters.complete(counterElement, value);
+            return;
+        }
+        
+        Counters.animations.set(counterElement, {
+            from,
+            to: value,
+            start: null,
+            duration,
+            easing: options.easing || settings.easing
+        });
+        Counters.render(counterElement, from);
+        
+        if (!Counters.frame) {
+            Counters.frame = window.requestAnimationFrame(Counters.tick);
+        }
+    }
+
+    /**
+     * Advance every running counter by one frame
+     * @param {number} now - Frame timestamp
+     */
+    static tick(now) {
+        Counters.frame = null;
+        
+        Counters.animations.forEach((animation, counterElement) => {
+            if (animation.start === null) animation.start = now;
+            const elapsed = now - animation.start;
+            
+            if (elapsed >= animation.duration || Motion.isReduced()) {
+                Counters.animations.delete(counterElement);
+                Counters.render(counterElement, animation.to);
+                Counters.complete(counterElement, animation.to);
+                return;
             }
+            
+            const value = Helpers.easing(elapsed, animation.from, animation.to - animation.from, animation.duration, animation.easing);
+            Counters.render(counterElement, value);
+        });
+        
+        if (Counters.animations.size) {
+            Counters.frame = window.requestAnimationFrame(Counters.tick);
         }
+    }
+
+    /**
+     * Announce a finished count
+     * @param {HTMLElement} counterElement - Counter element
+     * @param {number} value - Final value
+     */
+    static complete(counterElement, value) {
+        EventBus.emit('counter:complete', { element: counterElement, value });
+    }
+
+    /**
+     * Show a value in a counter
+     * @param {HTMLElement} counterElement - Counter element
+     * @param {number} value - Value, rounded to the counter's decimals
+     */
+    static render(counterElement, value) {
+        const { decimals } = Counters.getSettings(counterElement);
+        const rounded = Number(value.toFixed(decimals));
         
-        updateCounter();
+        Counters.values.set(counterElement, rounded);
+        counterElement.textContent = Counters.format(rounded, counterElement);
+    }
+
+    /**
+     * Get the value a counter shows now
+     * @param {HTMLElement} counterElement - Counter element
+     * @returns {number} Value, 0 if it has not counted yet
+     */
+    static getCurrent(counterElement) {
+        return Counters.values.has(counterElement) ? Counters.values.get(counterElement) : 0;
+    }
+
+    /**
+     * Read a counter's options from its data attributes
+     * @param {HTMLElement} counterElement - Counter element
+     * @returns {Object} Prefix, suffix, decimals, format, easing and duration
+     */
+    static getSettings(counterElement) {
+        const data = counterElement.dataset;
+        const target = data.count || '';
+        const decimals = parseInt(data.countDecimals);
+        const duration = parseInt(data.countDuration);
+        
+        return {
+            prefix: data.countPrefix || '',
+            suffix: Counters.getSuffix(counterElement),
+            // Default to the decimals written in data-count, e.g. "4.5"
+            decimals: isNaN(decimals) ? (target.split('.')[1] || '').length : decimals,
+            format: data.countFormat === 'compact' ? 'compact' : 'standard',
+            easing: data.countEasing || Config.ANIMATION.COUNTER_EASING,
+            duration: isNaN(duration) ? Config.ANIMATION.COUNTER_DURATION : duration
+        };
     }
 
     /**
@@ -117,10 +247,9 @@ class Counters {
      */
     static reset() {
         Counters.counters.forEach(counter => {
+            Counters.animations.delete(counter);
             counter.classList.remove('animated');
-            const target = counter.getAttribute('data-count');
-            const suffix = counter.textContent.replace(/\d+/g, '');
-            counter.textContent = '0' + suffix;
+            Counters.render(counter, 0);
         });
         
         // Re-observe counters if observer exists
@@ -186,8 +315,8 @@ class Counters {
         const counter = Counters.create(value, label, icon);
         target.appendChild(counter);
         
-        // Re-initialize counters to include new one
-        Counters.init();
+        // Mount the new counter without re-initializing the others
+        Counters.mount(counter);
     }
 
     /**
@@ -205,17 +334,22 @@ class Counters {
         const counterValue = counter.querySelector('.stat-number');
         if (!counterValue) return;
         
+        Counters.setTarget(counterValue, newValue);
+    }
+
+    /**
+     * Change a counter's target value
+     * @param {HTMLElement} counterElement - Counter element
+     * @param {number} value - New target value
+     */
+    static setTarget(counterElement, value) {
         // Update data-count attribute
-        counterValue.setAttribute('data-count', newValue);
+        counterElement.setAttribute('data-count', value);
         
-        // Reset animation
-        counterValue.classList.remove('animated');
-        const suffix = counterValue.textContent.replace(/\d+/g, '');
-        counterValue.textContent = '0' + suffix;
-        
-        // Re-observe if observer exists
-        if (Counters.observer) {
-            Counters.observer.observe(counterValue);
+        // Counters already shown count on from where they are; the rest
+        // count up to the new value when they come into view
+        if (counterElement.classList.contains('animated')) {
+            Counters.animateTo(counterElement, parseFloat(value));
         }
     }
 
@@ -231,11 +365,63 @@ class Counters {
         const counterValue = counter.querySelector('.stat-number');
         if (!counterValue) return 0;
         
-        const currentText = counterValue.textContent;
-        const currentValue = parseInt(currentText);
+        if (Counters.values.has(counterValue)) {
+            return Counters.values.get(counterValue);
+        }
+        
+        const currentValue = Counters.parse(counterValue.textContent);
         return isNaN(currentValue) ? 0 : currentValue;
     }
 
+    /**
+     * Format a counter value with the locale's digits and Indian grouping
+     * @param {number} value - Counter value
+     * @param {HTMLElement} counterElement - Counter whose prefix, suffix and format apply (optional)
+     * @returns {string} e.g. "5,000", "५,०००", "95%" or "5K+"
+     */
+    static format(value, counterElement = null) {
+        if (!counterElement) {
+            return I18n.formatNumber(value);
+        }
+        
+        const { prefix, suffix, decimals, format } = Counters.getSettings(counterElement);
+        const options = format === 'compact'
+            ? { notation: 'compact', maximumFractionDigits: Math.max(decimals, 1) }
+            : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+        
+        return prefix + I18n.formatNumber(value, options) + suffix;
+    }
+
+    /**
+     * Read a formatted counter value back into a number
+     * @param {string} text - Counter text, e.g. "५,०००+"
+     * @returns {number} Counter value, NaN if the text has none
+     */
+    static parse(text) {
+        // Devanagari digits ० to ९ map onto 0 to 9
+        const digits = text
+            .replace(/[\u0966-\u096F]/g, digit => String(digit.charCodeAt(0) - 0x0966))
+            .replace(/,/g, '');
+        return parseInt(digits);
+    }
+
+    /**
+     * Get the text shown after a counter's number, e.g. "+" or "%"
+     * @param {HTMLElement} counterElement - Counter element
+     * @returns {string} Suffix
+     */
+    static getSuffix(counterElement) {
+        if (counterElement.dataset.countSuffix !== undefined) {
+            return counterElement.dataset.countSuffix;
+        }
+        
+        // Otherwise read once from the markup, before the number is re-formatted
+        if (counterElement.dataset.suffix === undefined) {
+            counterElement.dataset.suffix = counterElement.textContent.replace(/[\d\u0966-\u096F,]+/g, '');
+        }
+        return counterElement.dataset.suffix;
+    }
+
     /**
      * Get all counter values
      * @returns {Object} Object with counter values
@@ -252,9 +438,18 @@ class Counters {
     }
 }
 
-// Initialize counters when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    Counters.init();
+// Counters collected from mounted elements
+Counters.counters = [];
+Counters.observer = null;
+
+// Running animations by element, and the last value shown in each counter
+Counters.animations = new Map();
+Counters.values = new WeakMap();
+Counters.frame = null;
+
+// Register module
+ModuleRegistry.register('counters', Counters, {
+    dependencies: ['config', 'helpers', 'event-bus', 'i18n', 'motion']
 });
 
 // Export module
@@ -0,0 +1,416 @@
+// Course Compare Module
+
+class CourseCompare {
+    /**
+     * Initialize course comparison
+     */
+    static init() {
+        CourseCompare.selected = [];
+        CourseCompare.tray = null;
+        CourseCompare.modalElement = null;
+        CourseCompare.pendingOpen = false;
+    }
+
+    /**
+     * Mount on the compare tray
+     * @param {HTMLElement} element - Compare tray element
+     */
+    static mount(element) {
+        CourseCompare.tray = element;
+        CourseCompare.list = element.querySelector('.compare-tray-list');
+        CourseCompare.hint = element.querySelector('.compare-tray-hint');
+        CourseCompare.openButton = element.querySelector('[data-compare-open]');
+        CourseCompare.modalElement = document.getElementById('compareModal');
+        CourseCompare.table = document.getElementById('compareTable');
+
+        // A shared link wins over the selection saved on this device
+        const fromURL = CourseCompare.readURL();
+        CourseCompare.selected = fromURL || CourseCompare.load();
+
+        // Shared links open the comparison once the catalog is ready
+        CourseCompare.pendingOpen = !!fromURL;
+
+        CourseCompare.setupControls();
+
+        EventBus.on('courses:rendered', () => CourseCompare.setup());
+        EventBus.on('courses:fallback', () => CourseCompare.setup());
+
+        if (Courses.loaded) {
+            Courses.loaded.then(() => CourseCompare.setup());
+        }
+    }
+
+    /**
+     * Wire up card toggles, tray buttons and the share button
+     */
+    static setupControls() {
+        document.addEventListener('click', (e) => {
+            const toggle = e.target.closest('[data-compare]');
+            if (toggle) {
+                e.preventDefault();
+                CourseCompare.toggle(toggle.dataset.compare);
+                return;
+            }
+
+            const remove = e.target.closest('[data-compare-remove]');
+            if (remove) {
+                CourseCompare.remove(remove.dataset.compareRemove);
+                return;
+            }
+
+            if (e.target.closest('[data-compare-clear]')) {
+                CourseCompare.clear();
+                return;
+            }
+
+            if (e.target.closest('[data-compare-open]')) {
+                CourseCompare.open();
+                return;
+            }
+
+            if (e.target.closest('[data-compare-share]')) {
+                CourseCompare.share();
+            }
+        });
+    }
+
+    /**
+     * Add toggles to the course cards and restore the selection
+     */
+    static setup() {
+        // Forget courses that are no longer in the catalog
+        CourseCompare.selected = CourseCompare.selected.filter(slug => Courses.get(slug));
+
+        document.querySelectorAll('.course-card[data-course]').forEach(card => {
+            if (card.querySelector('.course-compare-toggle')) return;
+
+            const course = Courses.get(card.dataset.course);
+            if (!course) return;
+
+            const toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.className = 'course-compare-toggle';
+            toggle.dataset.compare = course.slug;
+            toggle.setAttribute('aria-label', I18n.t('courses.compare.toggleLabel', { title: course.title }));
+            toggle.innerHTML = `<i class="fas fa-scale-balanced" aria-hidden="true"></i> ${Helpers.sanitizeHTML(I18n.t('courses.compare.toggle'))}`;
+            card.appendChild(toggle);
+        });
+
+        CourseCompare.update();
+
+        if (CourseCompare.pendingOpen) {
+            CourseCompare.pendingOpen = false;
+            CourseCompare.open();
+        }
+    }
+
+    /**
+     * Add or remove a course from the comparison
+     * @param {string} slug - Course slug
+     */
+    static toggle(slug) {
+        if (CourseCompare.selected.includes(slug)) {
+            CourseCompare.remove(slug);
+        } else {
+            CourseCompare.add(slug);
+        }
+    }
+
+    /**
+     * Add a course to the comparison
+     * @param {string} slug - Course slug
+     * @returns {boolean} True if added
+     */
+    static add(slug) {
+        if (CourseCompare.selected.includes(slug) || !Courses.get(slug)) return false;
+
+        if (CourseCompare.selected.length >= Config.COURSES.COMPARE_MAX) {
+            Notifications.warning(I18n.t('courses.compare.limit', { count: Config.COURSES.COMPARE_MAX }));
+            return false;
+        }
+
+        CourseCompare.selected.push(slug);
+        CourseCompare.update();
+        return true;
+    }
+
+    /**
+     * Remove a course from the comparison
+     * @param {string} slug - Course slug
+     */
+    static remove(slug) {
+        CourseCompare.selected = CourseCompare.selected.filter(existing => existing !== slug);
+        CourseCompare.update();
+    }
+
+    /**
+     * Remove every course from the comparison
+     */
+    static clear() {
+        CourseCompare.selected = [];
+        CourseCompare.update();
+    }
+
+    /**
+     * Sync toggles, tray, storage and URL with the selection
+     */
+    static update() {
+        const selected = CourseCompare.selected;
+
+        document.querySelectorAll('.course-compare-toggle').forEach(toggle => {
+            toggle.setAttribute('aria-pressed', String(selected.includes(toggle.dataset.compare)));
+        });
+
+        CourseCompare.renderTray();
+        CourseCompare.save();
+        CourseCompare.writeURL();
+
+        // Keep an open comparison in step with the tray
+        if (CourseCompare.isOpen()) {
+            if (selected.length >= 2) {
+                CourseCompare.renderTable();
+            } else {
+                CourseCompare.close();
+            }
+        }
+
+        EventBus.emit('compare:change', { selected: selected.slice() });
+    }
+
+    /**
+     * Render the sticky tray
+     */
+    static renderTray() {
+        const selected = CourseCompare.selected;
+
+        CourseCompare.tray.hidden = selected.length === 0;
+        document.body.classList.toggle('compare-tray-visible', selected.length > 0);
+
+        CourseCompare.list.innerHTML = '';
+        selected.forEach(slug => {
+            const course = Courses.get(slug);
+
+            const item = document.createElement('li');
+            item.textContent = course.title;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'compare-tray-remove';
+            remove.dataset.compareRemove = slug;
+            remove.setAttribute('aria-label', I18n.t('courses.compare.remove', { title: course.title }));
+            remove.innerHTML = '&times;';
+
+            item.appendChild(remove);
+            CourseCompare.list.appendChild(item);
+        });
+
+        const remaining = Config.COURSES.COMPARE_MAX - selected.length;
+        CourseCompare.hint.textContent = selected.length < 2
+            ? I18n.t('courses.compare.needMore')
+            : (remaining > 0 ? I18n.t('courses.compare.canAdd', { count: remaining }) : '');
+
+        CourseCompare.openButton.disabled = selected.length < 2;
+        CourseCompare.openButton.textContent = I18n.t('courses.compare.open', { count: selected.length });
+    }
+
+    /**
+     * Open the comparison table
+     */
+    static open() {
+        if (CourseCompare.selected.length < 2) return;
+
+        CourseCompare.renderTable();
+
+        const modal = CourseCompare.getModal();
+        if (modal) {
+            modal.show();
+        }
+
+        EventBus.emit('compare:open', { selected: CourseCompare.selected.slice() });
+    }
+
+    /**
+     * Close the comparison table
+     */
+    static close() {
+        const modal = CourseCompare.getModal();
+        if (modal) {
+            modal.hide();
+        }
+    }
+
+    /**
+     * Check whether the comparison table is showing
+     * @returns {boolean} True if open
+     */
+    static isOpen() {
+        return !!(CourseCompare.modalElement && CourseCompare.modalElement.classList.contains('show'));
+    }
+
+    /**
+     * Build the comparison table, highlighting rows that differ
+     */
+    static renderTable() {
+        const escape = Helpers.sanitizeHTML;
+        const courses = CourseCompare.selected.map(slug => Courses.get(slug));
+
+        const rows = [
+            ['duration', course => course.durationMonths ? Courses.formatDuration(course.durationMonths) : null],
+            ['seats', course => course.seats ? String(course.seats) : null],
+            ['fees', course => course.fees ? `₹${Courses.formatFees(course.fees)}` : null],
+            ['coreSubjects', course => CourseCompare.getCoreSubjects(course)],
+            ['careers', course => course.careers || null]
+        ];
+
+        const header = courses.map(course => `<th scope="col">${escape(course.title)}</th>`).join('');
+
+        const body = rows.map(([fact, getValue]) => {
+            const values = courses.map(getValue);
+            const keys = values.map(value => JSON.stringify(value));
+            const differs = new Set(keys).size > 1;
+
+            // In list rows, mark the items not every course shares
+            const shared = values.every(Array.isArray)
+                ? values.reduce((common, list) => common.filter(item => list.includes(item)))
+                : [];
+
+            const cells = values.map(value => {
+                if (value === null || (Array.isArray(value) && value.length === 0)) {
+                    return `<td><span class="text-muted">${escape(I18n.t('courses.facts.notAvailable'))}</span></td>`;
+                }
+
+                if (Array.isArray(value)) {
+                    const items = value.map(item => shared.includes(item)
+                        ? `<li>${escape(item)}</li>`
+                        : `<li><mark>${escape(item)}</mark></li>`
+                    ).join('');
+                    return `<td><ul>${items}</ul></td>`;
+                }
+
+                return `<td>${escape(value)}</td>`;
+            }).join('');
+
+            const note = differs ? `<span class="visually-hidden"> ${escape(I18n.t('courses.compare.differs'))}</span>` : '';
+
+            return `<tr class="${differs ? 'is-different' : ''}"><th scope="row">${escape(I18n.t(`courses.facts.${fact}`))}${note}</th>${cells}</tr>`;
+        }).join('');
+
+        CourseCompare.table.innerHTML = `
+            <caption class="visually-hidden">${escape(I18n.t('courses.compare.caption', { titles: courses.map(course => course.title).join(', ') }))}</caption>
+            <thead><tr><th scope="col">${escape(I18n.t('courses.compare.course'))}</th>${header}</tr></thead>
+            <tbody>${body}</tbody>
+        `;
+    }
+
+    /**
+     * Get the subjects that make a course distinct from the rest of the catalog
+     * @param {Object} course - Course record
+     * @returns {Array<string>|null} Subjects
+     */
+    static getCoreSubjects(course) {
+        if (!Array.isArray(course.curriculum)) return null;
+
+        const subjectsOf = record => (record.curriculum || []).flatMap(term => term.subjects);
+        const others = Courses.getAll().filter(record => record.slug !== course.slug && record.curriculum);
+
+        // Subjects every programme teaches would appear in every column
+        return subjectsOf(course).filter(subject => !others.every(record => subjectsOf(record).includes(subject)));
+    }
+
+    /**
+     * Copy a link to the current comparison
+     */
+    static share() {
+        const url = window.location.href;
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(url)
+                .then(() => Notifications.success(I18n.t('courses.compare.copied')))
+                .catch(() => Notifications.info(I18n.t('courses.compare.shareLink', { url }), 0));
+        } else {
+            Notifications.info(I18n.t('courses.compare.shareLink', { url }), 0);
+        }
+    }
+
+    /**
+     * Load the saved selection
+     * @returns {Array<string>} Course slugs
+     */
+    static load() {
+        const saved = Helpers.parseJSON(localStorage.getItem(Config.COURSES.COMPARE_KEY), []);
+        return Array.isArray(saved) ? saved.slice(0, Config.COURSES.COMPARE_MAX) : [];
+    }
+
+    /**
+     * Save the selection (the URL still carries it without consent)
+     */
+    static save() {
+        // Remembering the selection needs personalization consent
+        if (!Consent.has('personalization')) return;
+
+        if (CourseCompare.selected.length === 0) {
+            localStorage.removeItem(Config.COURSES.COMPARE_KEY);
+        } else {
+            localStorage.setItem(Config.COURSES.COMPARE_KEY, JSON.stringify(CourseCompare.selected));
+        }
+    }
+
+    /**
+     * Read a shared selection from the query string
+     * @returns {Array<string>|null} Course slugs, or null if the URL has none
+     */
+    static readURL() {
+        const value = new URLSearchParams(window.location.search).get('compare');
+        if (!value) return null;
+
+        return [...new Set(value.split(',').map(slug => slug.trim()).filter(Boolean))]
+            .slice(0, Config.COURSES.COMPARE_MAX);
+    }
+
+    /**
+     * Write the selection to the query string without adding history entries
+     */
+    static writeURL() {
+        const params = new URLSearchParams(window.location.search);
+
+        if (CourseCompare.selected.length > 0) {
+            params.set('compare', CourseCompare.selected.join(','));
+        } else {
+            params.delete('compare');
+        }
+
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+
+        if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            history.replaceState(history.state, '', url);
+        }
+    }
+
+    /**
+     * Get the Bootstrap modal instance
+     * @returns {Object|null} Modal instance or null if unavailable
+     */
+    static getModal() {
+        if (!CourseCompare.modalElement || typeof bootstrap === 'undefined') {
+            return null;
+        }
+
+        return bootstrap.Modal.getOrCreateInstance(CourseCompare.modalElement);
+    }
+}
+
+CourseCompare.selected = [];
+CourseCompare.tray = null;
+CourseCompare.modalElement = null;
+CourseCompare.pendingOpen = false;
+
+// Register module
+ModuleRegistry.register('course-compare', CourseCompare, {
+    dependencies: ['config', 'helpers', 'event-bus', 'i18n', 'consent', 'courses', 'notifications']
+});
+
+// Export module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CourseCompare;
+}
\ No newline at end of file
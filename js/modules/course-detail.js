@@ -0,0 +1,287 @@
+// Course Detail Module
+
+class CourseDetail {
+    /**
+     * Initialize course detail views
+     */
+    static init() {
+        CourseDetail.modalElement = null;
+        CourseDetail.current = null;
+        CourseDetail.opener = null;
+        CourseDetail.pushed = false;
+    }
+
+    /**
+     * Mount on the course detail modal
+     * @param {HTMLElement} element - Modal element
+     */
+    static mount(element) {
+        CourseDetail.modalElement = element;
+        CourseDetail.body = element.querySelector('.modal-body');
+        CourseDetail.title = element.querySelector('.modal-title');
+        CourseDetail.applyButton = element.querySelector('[data-apply]');
+
+        // Focus returns to the link that opened the view
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#courses/"]');
+            if (link) {
+                CourseDetail.opener = link;
+            }
+        });
+
+        // #courses/<slug> opens the view once the catalog is ready, leaving it closes the view
+        Router.register('courses/:slug', {
+            enter: ({ slug }, { trigger }) => {
+                // Links add a history entry, so back closes the view
+                CourseDetail.pushed = trigger === 'push';
+                Promise.resolve(Courses.loaded).then(() => CourseDetail.route(slug));
+            },
+            leave: () => {
+                if (CourseDetail.current) {
+                    CourseDetail.pushed = false;
+                    CourseDetail.close();
+                }
+            }
+        });
+
+        // Re-word an open view in the new language
+        EventBus.on('locale:change', () => {
+            const course = CourseDetail.current && Courses.get(CourseDetail.current);
+            if (course) {
+                CourseDetail.render(course);
+            }
+        });
+
+        // Closed with Escape, the close button or the backdrop
+        element.addEventListener('hidden.bs.modal', () => {
+            CourseDetail.onHidden();
+        });
+
+        // Another dialog (e.g. the application wizard) replaces this one; the
+        // URL is replaced rather than going back, which would navigate under it
+        document.addEventListener('show.bs.modal', (e) => {
+            if (e.target !== element && CourseDetail.current) {
+                CourseDetail.opener = null;
+                CourseDetail.pushed = false;
+                CourseDetail.close();
+            }
+        });
+    }
+
+    /**
+     * Open the view for a course route
+     * @param {string} slug - Course slug from the URL
+     */
+    static route(slug) {
+        // The reader may have moved on while the catalog was loading
+        if (CourseDetail.getSlugFromHash() !== slug || slug === CourseDetail.current) return;
+
+        const course = Courses.get(slug);
+        if (!course) {
+            console.warn(`Course "${slug}" not found`);
+            Router.navigate('courses', { replace: true });
+            return;
+        }
+
+        CourseDetail.open(course);
+    }
+
+    /**
+     * Get the course slug from a #courses/<slug> hash
+     * @returns {string|null} Course slug
+     */
+    static getSlugFromHash() {
+        const match = window.location.hash.match(/^#courses\/([\w-]+)$/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Show a course
+     * @param {Object} course - Course record
+     */
+    static open(course) {
+        const modal = CourseDetail.getModal();
+        if (!modal) return;
+
+        if (!CourseDetail.opener) {
+            CourseDetail.opener = document.activeElement;
+        }
+
+        CourseDetail.current = course.slug;
+        CourseDetail.render(course);
+
+        // Bootstrap traps focus inside the dialog and closes it on Escape
+        modal.show();
+
+        EventBus.emit('course:open', { slug: course.slug, course });
+    }
+
+    /**
+     * Hide the view
+     */
+    static close() {
+        const modal = CourseDetail.getModal();
+        if (modal) {
+            modal.hide();
+        }
+    }
+
+    /**
+     * Clean up the URL and focus after the dialog has closed
+     */
+    static onHidden() {
+        const slug = CourseDetail.current;
+        if (!slug) return;
+
+        CourseDetail.current = null;
+
+        // Leave #courses/<slug> so reloading does not reopen the view
+        if (CourseDetail.getSlugFromHash() === slug) {
+            if (CourseDetail.pushed) {
+                history.back();
+            } else {
+                Router.navigate('courses', { replace: true, scroll: false });
+            }
+        }
+        CourseDetail.pushed = false;
+
+        if (CourseDetail.opener && document.contains(CourseDetail.opener)) {
+            CourseDetail.opener.focus();
+        }
+        CourseDetail.opener = null;
+
+        EventBus.emit('course:close', { slug });
+    }
+
+    /**
+     * Fill the dialog with a course
+     * @param {Object} course - Course record
+     */
+    static render(course) {
+        const escape = Helpers.sanitizeHTML;
+        const sections = [];
+
+        CourseDetail.title.textContent = course.title;
+
+        const facts = [];
+        if (course.code) facts.push(['code', course.code]);
+        if (course.durationMonths) facts.push(['duration', Courses.formatDuration(course.durationMonths)]);
+        if (course.seats) facts.push(['seats', course.seats]);
+        if (course.fees) facts.push(['fees', CourseDetail.formatFees(course)]);
+
+        if (facts.length > 0) {
+            sections.push(`
+                <dl class="course-facts">
+                    ${facts.map(([fact, value]) => `
+                        <div>
+                            <dt>${escape(I18n.t(`courses.facts.${fact}`))}</dt>
+                            <dd>${escape(String(value))}</dd>
+                        </div>
+                    `).join('')}
+                </dl>
+            `);
+        }
+
+        if (course.description) {
+            sections.push(`<p class="course-summary">${escape(course.description)}</p>`);
+        }
+
+        if (Array.isArray(course.curriculum) && course.curriculum.length > 0) {
+            sections.push(`
+                <section class="course-section">
+                    <h4>${escape(I18n.t('courses.detail.curriculum'))}</h4>
+                    <div class="row">
+                        ${course.curriculum.map(term => `
+                            <div class="col-md-6">
+                                <h5>${escape(term.term)}</h5>
+                                <ul>${term.subjects.map(subject => `<li>${escape(subject)}</li>`).join('')}</ul>
+                            </div>
+                        `).join('')}
+                    </div>
+                </section>
+            `);
+        }
+
+        if (Array.isArray(course.eligibility) && course.eligibility.length > 0) {
+            sections.push(`
+                <section class="course-section">
+                    <h4>${escape(I18n.t('courses.detail.eligibility'))}</h4>
+                    <ul>${course.eligibility.map(rule => `<li>${escape(rule)}</li>`).join('')}</ul>
+                </section>
+            `);
+        }
+
+        if (Array.isArray(course.faculty) && course.faculty.length > 0) {
+            sections.push(`
+                <section class="course-section">
+                    <h4>${escape(I18n.t('courses.detail.faculty'))}</h4>
+                    <ul class="course-faculty">
+                        ${course.faculty.map(member => `
+                            <li><strong>${escape(member.name)}</strong><span>${escape(member.role || '')}</span></li>
+                        `).join('')}
+                    </ul>
+                </section>
+            `);
+        }
+
+        // Courses from the static fallback only have the card details
+        if (sections.length <= 2) {
+            // {email} is left in the message and swapped for the link after escaping
+            const email = escape(Config.COLLEGE.EMAIL);
+            const more = escape(I18n.t('courses.detail.more')).replace('{email}', `<a href="mailto:${email}">${email}</a>`);
+
+            sections.push(`<p class="course-more">${more}</p>`);
+        }
+
+        CourseDetail.body.innerHTML = sections.join('');
+
+        if (CourseDetail.applyButton) {
+            CourseDetail.applyButton.dataset.apply = course.slug;
+            CourseDetail.applyButton.textContent = I18n.t('courses.detail.applyFor', { title: course.title });
+        }
+    }
+
+    /**
+     * Format total and yearly fees
+     * @param {Object} course - Course record
+     * @returns {string} e.g. "₹2,40,000 (₹1,20,000 per year)"
+     */
+    static formatFees(course) {
+        const total = `₹${Courses.formatFees(course.fees)}`;
+        const years = course.durationMonths / 12;
+
+        if (!years || years <= 1) return total;
+
+        return I18n.t('courses.facts.feesPerYear', { total, perYear: `₹${Courses.formatFees(course.fees / years)}` });
+    }
+
+    /**
+     * Get the Bootstrap modal instance
+     * @returns {Object|null} Modal instance or null if unavailable
+     */
+    static getModal() {
+        if (!CourseDetail.modalElement || typeof bootstrap === 'undefined') {
+            return null;
+        }
+
+        return bootstrap.Modal.getOrCreateInstance(CourseDetail.modalElement, {
+            keyboard: true,
+            focus: true
+        });
+    }
+}
+
+CourseDetail.modalElement = null;
+CourseDetail.current = null;
+CourseDetail.opener = null;
+CourseDetail.pushed = false;
+
+// Register module
+ModuleRegistry.register('course-detail', CourseDetail, {
+    dependencies: ['config', 'helpers', 'event-bus', 'i18n', 'router', 'courses']
+});
+
+// Export module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CourseDetail;
+}
\ No newline at end of file
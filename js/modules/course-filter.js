@@ -0,0 +1,345 @@
+// Course Filter Module
+
+class CourseFilter {
+    /**
+     * Initialize course filtering
+     */
+    static init() {
+        CourseFilter.form = null;
+        CourseFilter.state = CourseFilter.getEmptyState();
+    }
+
+    /**
+     * Attach the filter bar
+     * @param {HTMLFormElement} form - Filter form
+     */
+    static mount(form) {
+        CourseFilter.form = form;
+        CourseFilter.chips = form.querySelector('.course-chips');
+        CourseFilter.empty = document.getElementById('courseEmpty');
+        CourseFilter.status = document.getElementById('courseFilterStatus');
+        CourseFilter.state = CourseFilter.readURL();
+
+        CourseFilter.setupControls();
+
+        // Rebuild the facets whenever the catalog changes
+        EventBus.on('courses:rendered', ({ courses }) => CourseFilter.setup(courses));
+        EventBus.on('courses:fallback', ({ courses }) => CourseFilter.setup(courses));
+
+        if (Courses.loaded) {
+            Courses.loaded.then(courses => CourseFilter.setup(courses));
+        }
+
+        // Re-word the status line in the new language
+        EventBus.on('locale:change', () => CourseFilter.apply({ animate: false }));
+    }
+
+    /**
+     * Wire up search, selects, chips and reset
+     */
+    static setupControls() {
+        const form = CourseFilter.form;
+
+        const onSearch = Helpers.debounce(() => {
+            CourseFilter.update({ q: form.elements.q.value.trim() });
+        }, Config.COURSES.FILTER_DEBOUNCE);
+
+        form.elements.q.addEventListener('input', onSearch);
+
+        form.addEventListener('change', (e) => {
+            if (e.target.name === 'duration' || e.target.name === 'seats') {
+                CourseFilter.update({ [e.target.name]: e.target.value });
+            }
+        });
+
+        if (CourseFilter.chips) {
+            CourseFilter.chips.addEventListener('click', (e) => {
+                const chip = e.target.closest('[data-tag]');
+                if (!chip) return;
+
+                const tag = chip.dataset.tag;
+                const tags = CourseFilter.state.tags.includes(tag)
+                    ? CourseFilter.state.tags.filter(existing => existing !== tag)
+                    : [...CourseFilter.state.tags, tag];
+
+                CourseFilter.update({ tags });
+            });
+        }
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            CourseFilter.update({ q: form.elements.q.value.trim() });
+        });
+
+        // The empty state has its own reset button outside the form
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-filter-reset]')) {
+                e.preventDefault();
+                CourseFilter.reset();
+            }
+        });
+    }
+
+    /**
+     * Build facet options from the catalog and apply the current state
+     * @param {Array<Object>} courses - Course records
+     */
+    static setup(courses) {
+        const form = CourseFilter.form;
+        if (!form) return;
+
+        // Duration options come from the data
+        const durations = [...new Set(courses.map(course => course.durationMonths).filter(Boolean))]
+            .sort((a, b) => a - b);
+        CourseFilter.fillSelect(form.elements.duration, durations.map(months => ({
+            value: String(months),
+            label: Courses.formatDuration(months)
+        })));
+
+        CourseFilter.fillSelect(form.elements.seats, Config.COURSES.SEAT_RANGES.map(range => ({
+            value: range.value,
+            label: I18n.t(range.labelKey)
+        })));
+
+        // One chip per specialization tag
+        const tags = [...new Set(courses.flatMap(course => course.tags || []))].sort();
+        CourseFilter.renderChips(tags);
+
+        // Drop values from the URL that this catalog does not have
+        const state = CourseFilter.state;
+        if (!durations.map(String).includes(state.duration)) state.duration = '';
+        if (!Config.COURSES.SEAT_RANGES.some(range => range.value === state.seats)) state.seats = '';
+        state.tags = state.tags.filter(tag => tags.includes(tag));
+
+        CourseFilter.apply({ animate: false });
+    }
+
+    /**
+     * Replace a select's options, keeping its "any" option
+     * @param {HTMLSelectElement} select - Select element
+     * @param {Array<Object>} options - Options with value and label
+     */
+    static fillSelect(select, options) {
+        if (!select) return;
+
+        const any = select.options[0];
+        select.innerHTML = '';
+        select.appendChild(any);
+
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+
+        // Hide facets with nothing to choose between
+        const wrapper = select.closest('.course-filter-field');
+        if (wrapper) {
+            wrapper.hidden = options.length < 2;
+        }
+    }
+
+    /**
+     * Render specialization chips
+     * @param {Array<string>} tags - Tag names
+     */
+    static renderChips(tags) {
+        if (!CourseFilter.chips) return;
+
+        CourseFilter.chips.innerHTML = '';
+        CourseFilter.chips.hidden = tags.length === 0;
+
+        tags.forEach(tag => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'course-chip';
+            chip.dataset.tag = tag;
+            chip.textContent = tag;
+            chip.setAttribute('aria-pressed', 'false');
+            CourseFilter.chips.appendChild(chip);
+        });
+    }
+
+    /**
+     * Merge changes into the filter state and re-apply
+     * @param {Object} changes - State changes (q, duration, seats, tags)
+     */
+    static update(changes) {
+        CourseFilter.state = { ...CourseFilter.state, ...changes };
+        CourseFilter.apply();
+    }
+
+    /**
+     * Clear every filter
+     */
+    static reset() {
+        CourseFilter.state = CourseFilter.getEmptyState();
+        CourseFilter.apply();
+    }
+
+    /**
+     * Show matching cards, update the controls, status and URL
+     * @param {Object} options - Apply options
+     * @param {boolean} options.animate - Fade cards in and out
+     */
+    static apply({ animate = true } = {}) {
+        if (!Courses.grid) return;
+
+        const state = CourseFilter.state;
+        const columns = Array.from(Courses.grid.children);
+        let visible = 0;
+
+        columns.forEach(column => {
+            const card = column.querySelector('.course-card');
+            const course = card && Courses.get(card.dataset.course);
+            const match = !course || CourseFilter.matches(course, state);
+
+            if (match) visible++;
+
+            if (!animate) {
+                column.hidden = !match;
+            } else if (match) {
+                Animations.show(column);
+            } else {
+                Animations.hide(column);
+            }
+        });
+
+        CourseFilter.syncControls();
+
+        if (CourseFilter.empty) {
+            CourseFilter.empty.hidden = visible > 0;
+        }
+
+        if (CourseFilter.status) {
+            CourseFilter.status.textContent = CourseFilter.isActive()
+                ? I18n.t('courses.filter.showing', { visible, count: columns.length })
+                : '';
+        }
+
+        CourseFilter.writeURL();
+
+        EventBus.emit('courses:filtered', { state: { ...state }, visible, total: columns.length });
+    }
+
+    /**
+     * Check a course against the filter state
+     * @param {Object} course - Course record
+     * @param {Object} state - Filter state
+     * @returns {boolean} True if the course matches every filter
+     */
+    static matches(course, state) {
+        if (state.q) {
+            const haystack = [course.title, course.description, course.code, ...(course.tags || [])]
+                .join(' ')
+                .toLowerCase();
+            const terms = state.q.toLowerCase().split(/\s+/).filter(Boolean);
+
+            if (!terms.every(term => haystack.includes(term))) return false;
+        }
+
+        if (state.duration && String(course.durationMonths) !== state.duration) return false;
+
+        if (state.seats) {
+            const range = Config.COURSES.SEAT_RANGES.find(option => option.value === state.seats);
+            const seats = course.seats || 0;
+
+            if (range && (seats < range.min || (range.max !== null && seats > range.max))) return false;
+        }
+
+        // Any selected specialization matches
+        if (state.tags.length > 0 && !state.tags.some(tag => (course.tags || []).includes(tag))) return false;
+
+        return true;
+    }
+
+    /**
+     * Reflect the state in the form controls
+     */
+    static syncControls() {
+        const form = CourseFilter.form;
+        const state = CourseFilter.state;
+
+        if (form.elements.q.value.trim() !== state.q) {
+            form.elements.q.value = state.q;
+        }
+        form.elements.duration.value = state.duration;
+        form.elements.seats.value = state.seats;
+
+        if (CourseFilter.chips) {
+            CourseFilter.chips.querySelectorAll('[data-tag]').forEach(chip => {
+                chip.setAttribute('aria-pressed', String(state.tags.includes(chip.dataset.tag)));
+            });
+        }
+    }
+
+    /**
+     * Check whether any filter is set
+     * @returns {boolean} True if filtering
+     */
+    static isActive() {
+        const { q, duration, seats, tags } = CourseFilter.state;
+        return !!(q || duration || seats || tags.length);
+    }
+
+    /**
+     * Read the filter state from the query string
+     * @returns {Object} Filter state
+     */
+    static readURL() {
+        const params = new URLSearchParams(window.location.search);
+
+        return {
+            q: (params.get('q') || '').trim(),
+            duration: params.get('duration') || '',
+            seats: params.get('seats') || '',
+            tags: (params.get('tags') || '').split(',').map(tag => tag.trim()).filter(Boolean)
+        };
+    }
+
+    /**
+     * Write the filter state to the query string without adding history entries
+     */
+    static writeURL() {
+        const params = new URLSearchParams(window.location.search);
+        const { q, duration, seats, tags } = CourseFilter.state;
+
+        const values = { q, duration, seats, tags: tags.join(',') };
+        Object.keys(values).forEach(key => {
+            if (values[key]) {
+                params.set(key, values[key]);
+            } else {
+                params.delete(key);
+            }
+        });
+
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+
+        if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            history.replaceState(history.state, '', url);
+        }
+    }
+
+    /**
+     * Get a state with no filters set
+     * @returns {Object} Filter state
+     */
+    static getEmptyState() {
+        return { q: '', duration: '', seats: '', tags: [] };
+    }
+}
+
+CourseFilter.form = null;
+CourseFilter.state = CourseFilter.getEmptyState();
+
+// Register module
+ModuleRegistry.register('course-filter', CourseFilter, {
+    dependencies: ['config', 'helpers', 'event-bus', 'i18n', 'animations', 'courses']
+});
+
+// Export module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CourseFilter;
+}
\ No newline at end of file
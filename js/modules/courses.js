@@ -0,0 +1,262 @@
+// Courses Module
+
+class Courses {
+    /**
+     * Initialize the course catalog
+     */
+    static init() {
+        Courses.courses = [];
+        Courses.grid = null;
+        Courses.loaded = null;
+
+        // Cards carry translated labels; the filter and compare modules
+        // relabel their own controls on the courses:rendered that follows
+        EventBus.on('locale:change', () => {
+            if (Courses.courses.length > 0) {
+                Courses.render(Courses.courses);
+            }
+        });
+    }
+
+    /**
+     * Render the catalog into a course grid
+     * @param {HTMLElement} element - Grid element holding the static course cards
+     */
+    static mount(element) {
+        Courses.grid = element;
+
+        // Static cards stay in place until the data has loaded
+        Courses.loaded = Courses.load()
+            .then(courses => {
+                Courses.courses = courses;
+                Courses.render(courses);
+                return courses;
+            })
+            .catch(error => {
+                console.warn('Course catalog unavailable, keeping static courses:', error.message);
+                Courses.courses = Courses.readStatic(element);
+                EventBus.emit('courses:fallback', { courses: Courses.courses, error });
+                return Courses.courses;
+            });
+    }
+
+    /**
+     * Load the catalog from inline JSON or Config.COURSES.URL
+     * @returns {Promise<Array<Object>>} Valid course records
+     */
+    static async load() {
+        const inline = document.getElementById(Config.COURSES.INLINE_ID);
+
+        const data = inline
+            ? Helpers.parseJSON(inline.textContent, null)
+            : await HttpClient.get(Config.COURSES.URL);
+
+        const list = Array.isArray(data) ? data : (data && data.courses);
+        if (!Array.isArray(list)) {
+            throw new Error('Course data has no courses list');
+        }
+
+        const courses = list.filter(course => {
+            const valid = course && course.slug && course.title;
+            if (!valid) {
+                console.warn('Skipping course without a slug or title:', course);
+            }
+            return valid;
+        });
+
+        if (courses.length === 0) {
+            throw new Error('Course data is empty');
+        }
+
+        return courses;
+    }
+
+    /**
+     * Replace the grid contents with cards built from course data
+     * @param {Array<Object>} courses - Course records
+     */
+    static render(courses) {
+        if (!Courses.grid) return;
+
+        const fragment = document.createDocumentFragment();
+        courses.forEach(course => {
+            fragment.appendChild(Courses.createCard(course));
+        });
+
+        Courses.grid.innerHTML = '';
+        Courses.grid.appendChild(fragment);
+
+        // Re-hook hover animations; Reveal picks up the new cards by itself
+        if (ModuleRegistry.isInitialized('animations')) {
+            Animations.mount(Courses.grid);
+        }
+
+        EventBus.emit('courses:rendered', { courses, grid: Courses.grid });
+    }
+
+    /**
+     * Build a grid column with a course card
+     * @param {Object} course - Course record
+     * @returns {HTMLElement} Column element
+     */
+    static createCard(course) {
+        const column = document.createElement('div');
+        column.className = 'col-md-6 col-lg-4 mb-4';
+
+        const card = document.createElement('div');
+        card.className = 'course-card';
+        card.dataset.course = course.slug;
+        card.dataset.reveal = 'fade-up';
+        card.dataset.revealGroup = 'courses';
+        if (course.code) {
+            card.dataset.code = course.code;
+        }
+
+        const icon = document.createElement('div');
+        icon.className = 'course-icon';
+        const iconGlyph = document.createElement('i');
+        iconGlyph.className = course.icon || 'fas fa-graduation-cap';
+        icon.appendChild(iconGlyph);
+
+        const title = document.createElement('h4');
+        title.textContent = course.title;
+
+        const description = document.createElement('p');
+        description.textContent = course.description || '';
+
+        const details = document.createElement('div');
+        details.className = 'course-details';
+
+        if (course.durationMonths) {
+            details.appendChild(Courses.createDetail('fas fa-clock', Courses.formatDuration(course.durationMonths)));
+        }
+        if (course.seats) {
+            details.appendChild(Courses.createDetail('fas fa-users', I18n.t('courses.seatCount', { count: course.seats })));
+        }
+        if (course.fees) {
+            details.appendChild(Courses.createDetail('fas fa-indian-rupee-sign', Courses.formatFees(course.fees)));
+        }
+
+        const link = document.createElement('a');
+        link.className = 'course-link stretched-link';
+        link.href = `#courses/${course.slug}`;
+        link.textContent = I18n.t('courses.viewDetails');
+        link.setAttribute('aria-label', I18n.t('courses.viewDetailsFor', { title: course.title }));
+
+        card.append(icon, title, description, details);
+
+        if (Array.isArray(course.tags) && course.tags.length > 0) {
+            const tags = document.createElement('ul');
+            tags.className = 'course-tags';
+            tags.setAttribute('aria-label', I18n.t('courses.tags'));
+
+            course.tags.forEach(tag => {
+                const item = document.createElement('li');
+                item.textContent = tag;
+                tags.appendChild(item);
+            });
+
+            card.appendChild(tags);
+        }
+
+        card.appendChild(link);
+        column.appendChild(card);
+        return column;
+    }
+
+    /**
+     * Build a course detail item
+     * @param {string} iconClass - Icon classes
+     * @param {string} text - Detail text
+     * @returns {HTMLElement} Detail element
+     */
+    static createDetail(iconClass, text) {
+        const detail = document.createElement('span');
+        const icon = document.createElement('i');
+        icon.className = iconClass;
+        detail.append(icon, ` ${text}`);
+        return detail;
+    }
+
+    /**
+     * Read course records back from the static markup
+     * @param {HTMLElement} element - Grid element
+     * @returns {Array<Object>} Course records with the fields the markup has
+     */
+    static readStatic(element) {
+        // Figures come from data-* attributes, so the card text can be translated
+        const number = value => {
+            const parsed = parseFloat(value);
+            return isNaN(parsed) ? null : parsed;
+        };
+
+        return Array.from(element.querySelectorAll('.course-card[data-course]')).map(card => {
+            const icon = card.querySelector('.course-icon i');
+
+            return {
+                slug: card.dataset.course,
+                code: card.dataset.code || null,
+                title: card.querySelector('h4').textContent.trim(),
+                description: (card.querySelector('p') || {}).textContent || '',
+                icon: icon ? icon.className : '',
+                durationMonths: number(card.dataset.durationMonths),
+                seats: number(card.dataset.seats),
+                fees: number(card.dataset.fees),
+                tags: []
+            };
+        });
+    }
+
+    /**
+     * Format a duration in months for the current locale
+     * @param {number} months - Duration in months
+     * @returns {string} e.g. "2 Years" or "18 Months"
+     */
+    static formatDuration(months) {
+        if (months % 12 === 0) {
+            return I18n.t('courses.duration.years', { count: months / 12 });
+        }
+
+        return I18n.t('courses.duration.months', { count: months });
+    }
+
+    /**
+     * Format programme fees in rupees in the current locale's digits and grouping
+     * @param {number} amount - Fees in rupees
+     * @returns {string} e.g. "2,40,000"
+     */
+    static formatFees(amount) {
+        return I18n.formatNumber(Number(amount), { maximumFractionDigits: 0 });
+    }
+
+    /**
+     * Get all loaded courses
+     * @returns {Array<Object>} Course records
+     */
+    static getAll() {
+        return Courses.courses.slice();
+    }
+
+    /**
+     * Get a course by slug
+     * @param {string} slug - Course slug, e.g. "marketing-management"
+     * @returns {Object|null} Course record
+     */
+    static get(slug) {
+        return Courses.courses.find(course => course.slug === slug) || null;
+    }
+}
+
+Courses.courses = [];
+Courses.grid = null;
+Courses.loaded = null;
+
+// Register module
+ModuleRegistry.register('courses', Courses, {
+    dependencies: ['config', 'helpers', 'http', 'event-bus', 'i18n', 'animations']
+});
+
+// Export module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Courses;
+}
\ No newline at end of file
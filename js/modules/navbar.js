@@ -11,7 +11,11 @@ class Navbar {
         // Store navbar element
         Navbar.element = element;
         
-        // Set up scroll effect
+        // Look these up once rather than on every scroll
+        Navbar.sections = Array.from(document.querySelectorAll('section[id]'));
+        Navbar.links = Array.from(element.querySelectorAll('.nav-link'));
+        
+        // Set up scroll effect (the scheduler's first frame sets the initial state)
         Navbar.setupScrollEffect();
         
         // Set up active link highlighting
@@ -19,39 +23,59 @@ class Navbar {
         
         // Set up mobile menu
         Navbar.setupMobileMenu();
-        
-        // Initial scroll state
-        Navbar.handleScroll();
     }
 
     /**
      * Set up scroll effect
      */
     static setupScrollEffect() {
-        window.addEventListener('scroll', Navbar.handleScroll);
+        Navbar.unsubscribe = ScrollScheduler.subscribe({
+            priority: ScrollScheduler.PRIORITY.HIGH,
+            read: Navbar.measure,
+            write: Navbar.render
+        });
     }
 
     /**
-     * Handle scroll event
+     * Read phase: work out the navbar state for a scroll position
+     * @param {Object} state - Scroll state
+     * @returns {Object} Whether the page is scrolled and the current section id
      */
-    static handleScroll() {
+    static measure(state) {
+        return {
+            scrolled: state.scrollY > Navbar.SCROLLED_OFFSET,
+            current: Navbar.getCurrentSection(state.scrollY)
+        };
+    }
+
+    /**
+     * Write phase: apply a measured navbar state
+     * @param {Object} state - Scroll state
+     * @param {Object} measured - Result of measure()
+     */
+    static render(state, { scrolled, current }) {
         if (!Navbar.element) return;
         
-        if (window.scrollY > 50) {
-            Navbar.element.classList.add('scrolled');
-        } else {
-            Navbar.element.classList.remove('scrolled');
-        }
+        Navbar.element.classList.toggle('scrolled', scrolled);
         
         // Update active nav links
-        Navbar.updateActiveLinks();
+        Navbar.updateActiveLinks(current);
+    }
+
+    /**
+     * Update the navbar straight away, outside the scroll scheduler
+     */
+    static handleScroll() {
+        if (!Navbar.element) return;
+        
+        Navbar.render(null, Navbar.measure({ scrollY: window.pageYOffset }));
     }
 
     /**
      * Set up active link highlighting
      */
     static setupActiveLinks() {
-        const navLinks = Navbar.element.querySelectorAll('.nav-link');
+        const navLinks = Navbar.links;
         
         navLinks.forEach(link => {
             link.addEventListener('click', () => {
@@ -68,30 +92,43 @@ class Navbar {
     }
 
     /**
-     * Update active nav links based on scroll position
+     * Find the section at a scroll position (reads layout)
+     * @param {number} scrollY - Scroll position
+     * @returns {string} Section id, or '' above the first section
      */
-    static updateActiveLinks() {
-        const sections = document.querySelectorAll('section[id]');
-        const navLinks = Navbar.element.querySelectorAll('.nav-link');
-        
+    static getCurrentSection(scrollY) {
         let current = '';
         
-        sections.forEach(section => {
-            const sectionTop = section.offsetTop;
-            const sectionHeight = section.clientHeight;
-            
-            if (window.scrollY >= (sectionTop - 150)) {
-                current = section.getAttribute('id');
+        Navbar.sections.forEach(section => {
+            if (scrollY >= (section.offsetTop - Navbar.SECTION_OFFSET)) {
+                current = section.id;
             }
         });
         
-        navLinks.forEach(link => {
-            link.classList.remove('active');
-            const href = link.getAttribute('href');
-            if (href === `#${current}`) {
-                link.classList.add('active');
-            }
+        return current;
+    }
+
+    /**
+     * Highlight the link for a section (writes only)
+     * @param {string} current - Section id, defaults to the one at the current scroll position
+     */
+    static updateActiveLinks(current = Navbar.getCurrentSection(window.pageYOffset)) {
+        Navbar.links.forEach(link => {
+            link.classList.toggle('active', link.getAttribute('href') === `#${current}`);
         });
+        
+        // Announce section changes
+        if (current !== Navbar.currentSection) {
+            const previous = Navbar.currentSection;
+            Navbar.currentSection = current;
+            
+            if (previous) {
+                EventBus.emit('section:leave', { id: previous });
+            }
+            if (current) {
+                EventBus.emit('section:enter', { id: current, previous: previous || null });
+            }
+        }
     }
 
     /**
@@ -107,8 +144,10 @@ class Navbar {
             // Add animation class
             if (!isExpanded) {
                 Navbar.element.classList.add('menu-open');
+                EventBus.emit('nav:open');
             } else {
                 Navbar.element.classList.remove('menu-open');
+                EventBus.emit('nav:close');
             }
         });
         
@@ -137,7 +176,10 @@ class Navbar {
         
         if (navbarCollapse && navbarCollapse.classList.contains('show')) {
             if (navbarToggler) {
+                // The toggler's click handler announces nav:close
                 navbarToggler.click();
+            } else {
+                EventBus.emit('nav:close');
             }
             Navbar.element.classList.remove('menu-open');
         }
@@ -170,50 +212,53 @@ class Navbar {
     }
 
     /**
-     * Change navbar background color
+     * Change navbar background color, overriding the theme
      * @param {string} color - CSS color value
      */
     static setBackgroundColor(color) {
         if (!Navbar.element) return;
         
-        const navbar = Navbar.element.querySelector('.navbar');
-        if (navbar) {
-            navbar.style.backgroundColor = color;
-        }
+        // Scoped variables keep the scrolled style working
+        Navbar.element.style.setProperty('--navbar-bg', color);
+        Navbar.element.style.setProperty('--navbar-bg-scrolled', color);
     }
 
     /**
-     * Change navbar text color
+     * Change navbar text color, overriding the theme
      * @param {string} color - CSS color value
      */
     static setTextColor(color) {
         if (!Navbar.element) return;
         
-        const navLinks = Navbar.element.querySelectorAll('.nav-link, .navbar-brand');
-        navLinks.forEach(link => {
-            link.style.color = color;
-        });
+        Navbar.element.style.setProperty('--navbar-text', color);
     }
 
     /**
-     * Reset navbar to default styles
+     * Reset navbar to the theme's styles
      */
     static reset() {
         if (!Navbar.element) return;
         
-        const navbar = Navbar.element.querySelector('.navbar');
-        if (navbar) {
-            navbar.style.backgroundColor = '';
-        }
-        
-        const navLinks = Navbar.element.querySelectorAll('.nav-link, .navbar-brand');
-        navLinks.forEach(link => {
-            link.style.color = '';
+        ['--navbar-bg', '--navbar-bg-scrolled', '--navbar-text'].forEach(variable => {
+            Navbar.element.style.removeProperty(variable);
         });
         
         Navbar.element.classList.remove('scrolled', 'menu-open');
     }
 
+    /**
+     * Get the page sections linked from the navbar
+     * @returns {Array<HTMLElement>} Section elements
+     */
+    static getSections() {
+        const root = Navbar.element || document;
+        const links = root.querySelectorAll('.nav-link[href^="#"]');
+        
+        return Array.from(links)
+            .map(link => document.querySelector(link.getAttribute('href')))
+            .filter(Boolean);
+    }
+
     /**
      * Get navbar height
      * @returns {number} Navbar height in pixels
@@ -224,6 +269,22 @@ class Navbar {
     }
 }
 
+Navbar.currentSection = '';
+Navbar.sections = [];
+Navbar.links = [];
+Navbar.unsubscribe = null;
+
+// Scroll distance before the navbar gets its scrolled style
+Navbar.SCROLLED_OFFSET = 50;
+
+// How far above a section's top it counts as the current one
+Navbar.SECTION_OFFSET = 150;
+
+// Register module
+ModuleRegistry.register('navbar', Navbar, {
+    dependencies: ['event-bus', 'scroll-scheduler']
+});
+
 // Export module
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = Navbar;
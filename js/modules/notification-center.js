@@ -0,0 +1,376 @@
+// Notification Center Module
+
+// Keeps every notification shown on the page in a history (newest first, at
+// most Config.NOTIFICATION.HISTORY_MAX items, none older than HISTORY_MAX_AGE)
+// and lists it, grouped by day, in the dropdown under the navbar bell. The
+// bell's badge counts unread items. The history is only kept in localStorage
+// with personalization consent; otherwise it lasts for the page view.
+class NotificationCenter {
+    /**
+     * Load the history and record notifications from now on
+     */
+    static init() {
+        NotificationCenter.items = NotificationCenter.load();
+        NotificationCenter.recorded = new WeakMap();
+        NotificationCenter.filter = 'all';
+        NotificationCenter.centers = [];
+
+        // Queued toasts are recorded too, in case they are cleared unseen
+        EventBus.on('notification:shown', NotificationCenter.record);
+        EventBus.on('notification:queued', NotificationCenter.record);
+
+        EventBus.on('notification:repeat', ({ element }) => {
+            NotificationCenter.change(element, { time: Date.now(), read: false });
+        });
+
+        EventBus.on('notification:updated', ({ element, message, type }) => {
+            NotificationCenter.change(element, { message, type, time: Date.now(), read: false });
+        });
+
+        EventBus.on('locale:change', () => NotificationCenter.render());
+
+        // Revoking consent removes the stored copy (Config.CONSENT.KEYS); granting it stores this page's history
+        EventBus.on('consent:change', () => {
+            if (Consent.has('personalization')) {
+                NotificationCenter.save();
+            }
+        });
+
+        // Keep tabs in step
+        window.addEventListener('storage', (e) => {
+            if (e.key === Config.NOTIFICATION.HISTORY_KEY) {
+                NotificationCenter.items = NotificationCenter.load();
+                NotificationCenter.render();
+            }
+        });
+    }
+
+    /**
+     * Turn a navbar item into the notification center
+     * @param {HTMLElement} element - Element holding the bell and the panel
+     */
+    static mount(element) {
+        const center = {
+            element,
+            bell: element.querySelector('.notification-bell'),
+            badge: element.querySelector('.notification-badge'),
+            filters: element.querySelector('.notification-filters'),
+            list: element.querySelector('.notification-history')
+        };
+
+        NotificationCenter.centers.push(center);
+
+        element.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-notification-id]');
+            if (item) {
+                NotificationCenter.markRead(item.dataset.notificationId);
+                return;
+            }
+
+            const filter = e.target.closest('[data-notification-filter]');
+            if (filter) {
+                NotificationCenter.setFilter(filter.dataset.notificationFilter);
+                return;
+            }
+
+            const command = e.target.closest('[data-notification-command]');
+            if (command && command.dataset.notificationCommand === 'read-all') {
+                NotificationCenter.markAllRead();
+            } else if (command && command.dataset.notificationCommand === 'clear') {
+                NotificationCenter.clear();
+            }
+        });
+
+        NotificationCenter.render();
+    }
+
+    /**
+     * Add a notification to the history
+     * @param {Object} data - notification:shown or notification:queued data
+     */
+    static record({ element, message, type }) {
+        if (NotificationCenter.recorded.has(element)) return;
+
+        const item = {
+            id: Helpers.generateId(),
+            message,
+            type,
+            time: Date.now(),
+            read: false
+        };
+
+        NotificationCenter.recorded.set(element, item.id);
+        NotificationCenter.items.unshift(item);
+        NotificationCenter.save();
+    }
+
+    /**
+     * Change the history item of a notification still on the page
+     * @param {HTMLElement} element - Notification element
+     * @param {Object} changes - Item fields to change
+     */
+    static change(element, changes) {
+        const item = NotificationCenter.get(NotificationCenter.recorded.get(element));
+        if (!item) return;
+
+        Object.assign(item, changes);
+
+        // Changed items move back to the top
+        NotificationCenter.items = [item].concat(NotificationCenter.items.filter(other => other !== item));
+        NotificationCenter.save();
+    }
+
+    /**
+     * Mark one item read
+     * @param {string} id - Item id
+     */
+    static markRead(id) {
+        const item = NotificationCenter.get(id);
+        if (!item || item.read) return;
+
+        item.read = true;
+        NotificationCenter.save();
+    }
+
+    /**
+     * Mark every item read
+     */
+    static markAllRead() {
+        NotificationCenter.items.forEach(item => {
+            item.read = true;
+        });
+        NotificationCenter.save();
+    }
+
+    /**
+     * Empty the history
+     */
+    static clear() {
+        NotificationCenter.items = [];
+        NotificationCenter.save();
+    }
+
+    /**
+     * Show only one type of notification
+     * @param {string} filter - "all" or a notification type
+     */
+    static setFilter(filter) {
+        const types = Object.values(Config.NOTIFICATION.TYPES);
+        NotificationCenter.filter = types.includes(filter) ? filter : 'all';
+        NotificationCenter.render();
+    }
+
+    /**
+     * Get a history item
+     * @param {string} id - Item id
+     * @returns {Object|undefined} History item
+     */
+    static get(id) {
+        return NotificationCenter.items.find(item => item.id === id);
+    }
+
+    /**
+     * Count unread items
+     * @returns {number} Unread count
+     */
+    static getUnreadCount() {
+        return NotificationCenter.items.filter(item => !item.read).length;
+    }
+
+    /**
+     * Load the saved history, dropping expired items
+     * @returns {Array<Object>} History items, newest first
+     */
+    static load() {
+        if (!Consent.has('personalization')) return [];
+
+        const saved = Helpers.parseJSON(localStorage.getItem(Config.NOTIFICATION.HISTORY_KEY), []);
+        if (!Array.isArray(saved)) return [];
+
+        const types = Object.values(Config.NOTIFICATION.TYPES);
+        return NotificationCenter.prune(saved.filter(item =>
+            item && typeof item.id === 'string' && typeof item.message === 'string' &&
+            typeof item.time === 'number' && types.includes(item.type)
+        ));
+    }
+
+    /**
+     * Apply the cap and expiry, save if allowed and re-render
+     */
+    static save() {
+        NotificationCenter.items = NotificationCenter.prune(NotificationCenter.items);
+
+        // Messages can hold reference numbers and error details
+        if (Consent.has('personalization')) {
+            if (NotificationCenter.items.length === 0) {
+                localStorage.removeItem(Config.NOTIFICATION.HISTORY_KEY);
+            } else {
+                localStorage.setItem(Config.NOTIFICATION.HISTORY_KEY, JSON.stringify(NotificationCenter.items));
+            }
+        }
+
+        NotificationCenter.render();
+        EventBus.emit('notification-center:change', { unread: NotificationCenter.getUnreadCount() });
+    }
+
+    /**
+     * Drop items past the age limit and beyond the cap
+     * @param {Array<Object>} items - History items, newest first
+     * @returns {Array<Object>} Items to keep
+     */
+    static prune(items) {
+        const oldest = Date.now() - Config.NOTIFICATION.HISTORY_MAX_AGE;
+        return items
+            .filter(item => item.time >= oldest)
+            .slice(0, Config.NOTIFICATION.HISTORY_MAX);
+    }
+
+    /**
+     * Render every mounted center
+     */
+    static render() {
+        NotificationCenter.centers.forEach(center => {
+            NotificationCenter.renderBell(center);
+            NotificationCenter.renderFilters(center);
+            NotificationCenter.renderList(center);
+        });
+    }
+
+    /**
+     * Render the bell's badge and label
+     * @param {Object} center - Mounted center
+     */
+    static renderBell(center) {
+        const unread = NotificationCenter.getUnreadCount();
+
+        center.badge.textContent = unread > 99 ? '99+' : String(unread);
+        center.badge.hidden = unread === 0;
+
+        center.bell.setAttribute('aria-label', unread > 0
+            ? I18n.t('notificationCenter.unread', { count: unread })
+            : I18n.t('notificationCenter.title'));
+    }
+
+    /**
+     * Render the type filter buttons
+     * @param {Object} center - Mounted center
+     */
+    static renderFilters(center) {
+        // Buttons are kept so the one just pressed keeps focus
+        if (!center.filters.children.length) {
+            const filters = ['all'].concat(Object.values(Config.NOTIFICATION.TYPES));
+
+            center.filters.innerHTML = filters.map(filter => `
+                <button type="button" class="btn btn-sm notification-filter" data-notification-filter="${filter}"></button>
+            `).join('');
+        }
+
+        center.filters.querySelectorAll('[data-notification-filter]').forEach(button => {
+            const filter = button.dataset.notificationFilter;
+            button.textContent = I18n.t(`notificationCenter.filters.${filter}`);
+            button.setAttribute('aria-pressed', filter === NotificationCenter.filter);
+        });
+    }
+
+    /**
+     * Render the history list, grouped by day
+     * @param {Object} center - Mounted center
+     */
+    static renderList(center) {
+        const items = NotificationCenter.filter === 'all'
+            ? NotificationCenter.items
+            : NotificationCenter.items.filter(item => item.type === NotificationCenter.filter);
+
+        // Re-rendering replaces the item that had focus
+        const active = document.activeElement;
+        const focusedId = center.list.contains(active) ? active.dataset.notificationId : null;
+
+        if (items.length === 0) {
+            center.list.innerHTML = `<p class="notification-history-empty">${Helpers.sanitizeHTML(I18n.t('notificationCenter.empty'))}</p>`;
+            return;
+        }
+
+        // Items are newest first, so each day's items are adjacent
+        const days = [];
+        items.forEach(item => {
+            const day = new Date(item.time).toDateString();
+            const last = days[days.length - 1];
+
+            if (last && last.day === day) {
+                last.items.push(item);
+            } else {
+                days.push({ day, time: item.time, items: [item] });
+            }
+        });
+
+        center.list.innerHTML = days.map(({ time, items: dayItems }) => `
+            <section class="notification-history-day">
+                <h3 class="notification-history-date">${Helpers.sanitizeHTML(NotificationCenter.getDayLabel(time))}</h3>
+                <ul class="list-unstyled mb-0">
+                    ${dayItems.map(item => NotificationCenter.renderItem(item)).join('')}
+                </ul>
+            </section>
+        `).join('');
+
+        if (focusedId) {
+            const item = Array.from(center.list.querySelectorAll('[data-notification-id]'))
+                .find(button => button.dataset.notificationId === focusedId);
+            if (item) {
+                item.focus();
+            }
+        }
+    }
+
+    /**
+     * Render one history item
+     * @param {Object} item - History item
+     * @returns {string} Item HTML
+     */
+    static renderItem(item) {
+        const date = new Date(item.time);
+
+        return `
+            <li>
+                <button type="button" class="notification-history-item notification-history-${item.type}${item.read ? '' : ' unread'}" data-notification-id="${Helpers.sanitizeHTML(item.id)}">
+                    <span class="notification-history-message">${Helpers.sanitizeHTML(item.message)}</span>
+                    <time class="notification-history-time" datetime="${date.toISOString()}">${Helpers.sanitizeHTML(I18n.formatDate(date, { timeStyle: 'short' }))}</time>
+                    ${item.read ? '' : `<span class="visually-hidden">${Helpers.sanitizeHTML(I18n.t('notificationCenter.unreadItem'))}</span>`}
+                </button>
+            </li>
+        `;
+    }
+
+    /**
+     * Get the heading for a day
+     * @param {number} time - A time on that day, in milliseconds
+     * @returns {string} "Today", "Yesterday" or the date
+     */
+    static getDayLabel(time) {
+        const date = new Date(time);
+        const today = new Date();
+        const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+
+        if (date.toDateString() === today.toDateString()) {
+            return I18n.t('notificationCenter.today');
+        }
+        if (date.toDateString() === yesterday.toDateString()) {
+            return I18n.t('notificationCenter.yesterday');
+        }
+        return I18n.formatDate(date, { dateStyle: 'medium' });
+    }
+}
+
+NotificationCenter.items = [];
+NotificationCenter.recorded = new WeakMap();
+NotificationCenter.filter = 'all';
+NotificationCenter.centers = [];
+
+// Register module
+ModuleRegistry.register('notification-center', NotificationCenter, {
+    dependencies: ['config', 'helpers', 'event-bus', 'i18n', 'consent', 'notifications']
+});
+
+// Export module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotificationCenter;
+}
\ No newline at end of file
@@ -1,18 +1,75 @@
 // Notifications Module
 
+// Toasts are queued: at most Config.NOTIFICATION.MAX_VISIBLE show at once and
+// the rest wait in priority order (errors first). A message repeated while
+// its toast is still showing or waiting bumps a counter on that toast instead
+// of stacking a copy. Auto-dismiss pauses while the toast is hovered or
+// focused, and a progress bar shows the time left.
+//
+// Toasts are announced through two live regions, errors assertively and the
+// rest politely. Config.NOTIFICATION.FOCUS_SHORTCUT focuses the newest toast,
+// Escape closes the focused one and focus goes back where it came from. The
+// footer setting keeps every toast until it is closed.
+//
+// show() returns a handle for the toast:
+//
+//   const handle = Notifications.info('Saved.', 5000, {
+//       actions: [{ id: 'undo', label: 'Undo' }]
+//   });
+//   handle.promise.then(({ action, reason }) => ...);  // reason: action, dismiss or timeout
+//   handle.update({ message: 'Saved again.', type: 'success' });
+//   handle.dismiss();
 class Notifications {
     /**
      * Initialize notifications
      * @param {HTMLElement} element - Element to initialize on
      */
     static init(element = document) {
+        Notifications.entries = new WeakMap();
+        Notifications.visible = [];
+        Notifications.queue = [];
+        Notifications.persistent = localStorage.getItem(Config.NOTIFICATION.PERSIST_KEY) === 'true';
+        
         // Create notification container if it doesn't exist
         if (!document.getElementById('notification-container')) {
             Notifications.createContainer();
         }
         
+        Notifications.createLiveRegions();
+        
         // Add notification styles
         Notifications.addStyles();
+        
+        document.addEventListener('keydown', (e) => {
+            const shortcut = Config.NOTIFICATION.FOCUS_SHORTCUT;
+            
+            if (e.code === shortcut.code && e.altKey === shortcut.altKey && e.shiftKey === shortcut.shiftKey &&
+                !e.ctrlKey && !e.metaKey) {
+                if (Notifications.focusNewest()) {
+                    e.preventDefault();
+                }
+                return;
+            }
+            
+            // Escape closes the toast holding focus
+            const notification = e.key === 'Escape' && e.target.closest ? e.target.closest('.notification') : null;
+            if (notification) {
+                e.preventDefault();
+                Notifications.hide(notification);
+            }
+        });
+        
+        // Show a friendly message for reported errors (ErrorReporter rate-limits these)
+        EventBus.on('error:notify', ({ message }) => {
+            Notifications.error(message);
+        });
+        
+        // Revoking consent removes the stored setting (Config.CONSENT.KEYS); granting it stores this one
+        EventBus.on('consent:change', () => {
+            if (Consent.has('personalization')) {
+                Notifications.savePersistent();
+            }
+        });
     }
 
     /**
@@ -22,9 +79,136 @@ class Notifications {
         const container = document.createElement('div');
         container.id = 'notification-container';
         container.className = 'notification-container';
+        container.setAttribute('role', 'region');
+        container.setAttribute('aria-label', I18n.t('notifications.region'));
         document.body.appendChild(container);
     }
 
+    /**
+     * Create the live regions that announce notifications
+     */
+    static createLiveRegions() {
+        Notifications.regions = {};
+        
+        ['polite', 'assertive'].forEach(politeness => {
+            let region = document.getElementById(`notification-live-${politeness}`);
+            
+            if (!region) {
+                region = document.createElement('div');
+                region.id = `notification-live-${politeness}`;
+                region.className = 'visually-hidden';
+                region.setAttribute('aria-live', politeness);
+                region.setAttribute('aria-relevant', 'additions');
+                document.body.appendChild(region);
+            }
+            
+            Notifications.regions[politeness] = region;
+        });
+    }
+
+    /**
+     * Mount the "keep notifications" setting
+     * @param {HTMLInputElement} checkbox - Setting checkbox
+     */
+    static mount(checkbox) {
+        checkbox.checked = Notifications.persistent;
+        
+        checkbox.addEventListener('change', () => {
+            Notifications.setPersistent(checkbox.checked);
+        });
+    }
+
+    /**
+     * Keep every notification until it is closed, or go back to timing out
+     * @param {boolean} persistent - Whether notifications stay until closed
+     */
+    static setPersistent(persistent) {
+        Notifications.persistent = persistent;
+        Notifications.savePersistent();
+        
+        Notifications.visible.forEach(entry => {
+            if (!entry.hiding) {
+                Notifications.restartTimer(entry);
+            }
+        });
+    }
+
+    /**
+     * Save the keep-open setting (it only lasts for this page without consent)
+     */
+    static savePersistent() {
+        // Remembering the setting needs personalization consent
+        if (!Consent.has('personalization')) return;
+        
+        if (Notifications.persistent) {
+            localStorage.setItem(Config.NOTIFICATION.PERSIST_KEY, 'true');
+        } else {
+            localStorage.removeItem(Config.NOTIFICATION.PERSIST_KEY);
+        }
+    }
+
+    /**
+     * Read a notification out through the matching live region
+     * @param {Object} entry - Queue entry
+     */
+    static announce(entry) {
+        const region = Notifications.regions[entry.type === Config.NOTIFICATION.TYPES.ERROR ? 'assertive' : 'polite'];
+        if (!region) return;
+        
+        let text = entry.count > 1 ? `${entry.message} (${entry.count})` : entry.message;
+        if (entry.actions.length) {
+            text += ` ${I18n.t('notifications.actionHint', { shortcut: Config.NOTIFICATION.FOCUS_SHORTCUT.label })}`;
+        }
+        
+        // A new node is read even when the text repeats; old ones are dropped later
+        const announcement = document.createElement('p');
+        setTimeout(() => {
+            announcement.textContent = text;
+            region.appendChild(announcement);
+        }, Notifications.ANNOUNCE_DELAY);
+        
+        setTimeout(() => {
+            if (announcement.parentNode) {
+                announcement.parentNode.removeChild(announcement);
+            }
+        }, Notifications.ANNOUNCE_DELAY + Config.NOTIFICATION.DURATION);
+    }
+
+    /**
+     * Focus the newest notification, or its first action
+     * @returns {boolean} True if there was one to focus
+     */
+    static focusNewest() {
+        const shown = Notifications.visible.filter(entry => !entry.hiding);
+        const entry = shown[shown.length - 1];
+        if (!entry) return false;
+        
+        const target = entry.element.querySelector('.notification-action') || entry.element;
+        target.focus();
+        return true;
+    }
+
+    /**
+     * Move focus out of a closing notification
+     * @param {Object} entry - Queue entry being hidden
+     */
+    static restoreFocus(entry) {
+        const target = entry.returnFocus;
+        
+        if (target && document.body.contains(target) && !entry.element.contains(target)) {
+            target.focus();
+            return;
+        }
+        
+        // Otherwise stay among the notifications, or let focus go
+        const next = Notifications.visible.filter(other => other !== entry && !other.hiding).pop();
+        if (next) {
+            (next.element.querySelector('.notification-action') || next.element).focus();
+        } else if (document.activeElement) {
+            document.activeElement.blur();
+        }
+    }
+
     /**
      * Add notification styles
      */
@@ -47,7 +231,9 @@ class Notifications {
             }
             
             .notification {
-                background: white;
+                position: relative;
+                background: var(--notification-bg);
+                color: var(--notification-text);
                 border-radius: var(--radius-md);
                 box-shadow: var(--shadow-lg);
                 overflow: hidden;
@@ -56,19 +242,23 @@ class Notifications {
             }
             
             .notification.notification-success {
-                border-left: 4px solid #28a745;
+                --notification-accent: var(--color-success);
+                border-left: 4px solid var(--notification-accent);
             }
             
             .notification.notification-error {
-                border-left: 4px solid #dc3545;
+                --notification-accent: var(--color-error);
+                border-left: 4px solid var(--notification-accent);
             }
             
             .notification.notification-info {
-                border-left: 4px solid #17a2b8;
+                --notification-accent: var(--color-info);
+                border-left: 4px solid var(--notification-accent);
             }
             
             .notification.notification-warning {
-                border-left: 4px solid #ffc107;
+                --notification-accent: var(--color-warning);
+                border-left: 4px solid var(--notification-accent);
             }
             
             .notification-content {
@@ -94,6 +284,54 @@ class Notifications {
                 color: var(--text-dark);
             }
             
+            .notification:focus-visible {
+                outline: 2px solid var(--primary-color);
+                outline-offset: 2px;
+            }
+            
+            .notification-actions {
+                display: flex;
+                align-items: center;
+                flex-shrink: 0;
+            }
+            
+            .notification-count {
+                display: inline-block;
+                margin-left: 8px;
+                padding: 0 7px;
+                border-radius: 10px;
+                background: var(--notification-accent);
+                color: #fff;
+                font-size: 0.75rem;
+                font-weight: 600;
+                vertical-align: middle;
+            }
+            
+            .notification-progress {
+                position: absolute;
+                left: 0;
+                bottom: 0;
+                width: 100%;
+                height: 3px;
+                background: var(--notification-accent);
+                opacity: 0.6;
+                transform-origin: left;
+                animation: notificationProgress linear forwards;
+            }
+            
+            .notification-paused .notification-progress {
+                animation-play-state: paused;
+            }
+            
+            [data-motion="reduce"] .notification-progress {
+                display: none;
+            }
+            
+            @keyframes notificationProgress {
+                from { transform: scaleX(1); }
+                to { transform: scaleX(0); }
+            }
+            
             @keyframes slideIn {
                 from { transform: translateX(100%); opacity: 0; }
                 to { transform: translateX(0); opacity: 1; }
@@ -120,34 +358,237 @@ class Notifications {
      * @param {string} message - Notification message
      * @param {string} type - Notification type (success, error, info, warning)
      * @param {number} duration - Duration in milliseconds (0 for persistent)
+     * @param {Object} options - Extra options
+     * @param {Array<Object>} options.actions - Buttons as { id, label, primary }; picking one closes the toast
+     * @param {number} options.priority - Queue priority, overriding the type's (higher shows first)
+     * @returns {Object} Handle with element, promise, update() and dismiss()
+     */
+    static show(message, type = Config.NOTIFICATION.TYPES.INFO, duration = Config.NOTIFICATION.DURATION, options = {}) {
+        const key = `${type}:${message}`;
+        
+        // Repeats collapse into the toast already showing or waiting
+        const existing = Notifications.find(key);
+        if (existing) {
+            Notifications.repeat(existing);
+            return existing.handle;
+        }
+        
+        const entry = {
+            key,
+            message,
+            type,
+            duration,
+            actions: options.actions || [],
+            priority: options.priority !== undefined ? options.priority : Notifications.getPriority(type),
+            count: 1,
+            element: null,
+            timer: null,
+            remaining: duration,
+            startedAt: 0,
+            hovered: false,
+            focused: false,
+            hiding: false,
+            settled: false
+        };
+        
+        entry.element = Notifications.render(entry);
+        entry.promise = new Promise(resolve => {
+            entry.resolve = resolve;
+        });
+        entry.handle = Notifications.createHandle(entry);
+        
+        Notifications.entries.set(entry.element, entry);
+        
+        if (Notifications.visible.length < Config.NOTIFICATION.MAX_VISIBLE) {
+            Notifications.display(entry);
+        } else {
+            Notifications.enqueue(entry);
+        }
+        
+        return entry.handle;
+    }
+
+    /**
+     * Ask the visitor to confirm something in a toast
+     * @param {string} message - Question to ask
+     * @param {Object} options - Confirm options
+     * @param {string} options.confirmLabel - Confirm button text
+     * @param {string} options.cancelLabel - Cancel button text
+     * @param {string} options.type - Notification type
+     * @returns {Promise<boolean>} True if confirmed; false if cancelled or closed
+     */
+    static confirm(message, options = {}) {
+        const {
+            confirmLabel = I18n.t('common.confirm'),
+            cancelLabel = I18n.t('common.cancel'),
+            type = Config.NOTIFICATION.TYPES.WARNING
+        } = options;
+        
+        const handle = Notifications.show(message, type, 0, {
+            actions: [
+                { id: 'confirm', label: confirmLabel, primary: true },
+                { id: 'cancel', label: cancelLabel }
+            ]
+        });
+        
+        return handle.promise.then(({ action }) => action === 'confirm');
+    }
+
+    /**
+     * Create the handle returned by show()
+     * @param {Object} entry - Queue entry
+     * @returns {Object} Notification handle
+     */
+    static createHandle(entry) {
+        return {
+            element: entry.element,
+            // Resolves once with { action, reason }
+            promise: entry.promise,
+            update: (changes) => {
+                Notifications.update(entry.element, changes);
+                return entry.handle;
+            },
+            dismiss: () => Notifications.hide(entry.element)
+        };
+    }
+
+    /**
+     * Build a notification element
+     * @param {Object} entry - Queue entry
      * @returns {HTMLElement} Notification element
      */
-    static show(message, type = Config.NOTIFICATION.TYPES.INFO, duration = Config.NOTIFICATION.DURATION) {
+    static render(entry) {
         // Create notification element
         const notification = document.createElement('div');
-        notification.className = `notification notification-${type}`;
-        notification.setAttribute('role', 'alert');
-        notification.setAttribute('aria-live', 'polite');
+        notification.className = `notification notification-${entry.type}`;
+        // Announced through the live regions; focusable for the shortcut
+        notification.tabIndex = -1;
         
         // Create notification content
         const content = document.createElement('div');
         content.className = 'notification-content';
         
-        // Create message span
+        // Create message span, with a counter for repeats
         const messageSpan = document.createElement('span');
-        messageSpan.textContent = message;
+        messageSpan.className = 'notification-message';
+        messageSpan.appendChild(document.createTextNode(entry.message));
+        
+        const count = document.createElement('span');
+        count.className = 'notification-count';
+        count.hidden = true;
+        messageSpan.appendChild(count);
+        
+        const actions = document.createElement('div');
+        actions.className = 'notification-actions';
         
         // Create close button
         const closeButton = document.createElement('button');
         closeButton.className = 'notification-close';
         closeButton.innerHTML = '&times;';
-        closeButton.setAttribute('aria-label', 'Close notification');
+        closeButton.type = 'button';
+        closeButton.setAttribute('aria-label', I18n.t('notifications.close'));
         
         // Assemble notification
         content.appendChild(messageSpan);
+        content.appendChild(actions);
         content.appendChild(closeButton);
         notification.appendChild(content);
         
+        Notifications.renderActions(notification, entry.actions);
+        Notifications.renderProgress(notification, Notifications.getDuration(entry));
+        
+        // Add close event
+        closeButton.addEventListener('click', () => {
+            Notifications.hide(notification);
+        });
+        
+        // Action buttons settle the toast's promise with their id
+        actions.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-notification-action]');
+            if (button) {
+                Notifications.act(notification, button.dataset.notificationAction);
+            }
+        });
+        
+        // Keep the toast while the visitor is reading or using it
+        notification.addEventListener('mouseenter', () => {
+            Notifications.setHold(notification, 'hovered', true);
+        });
+        notification.addEventListener('mouseleave', () => {
+            Notifications.setHold(notification, 'hovered', false);
+        });
+        notification.addEventListener('focusin', (e) => {
+            Notifications.setHold(notification, 'focused', true);
+            Notifications.rememberFocus(notification, e.relatedTarget);
+        });
+        notification.addEventListener('focusout', (e) => {
+            if (!notification.contains(e.relatedTarget)) {
+                Notifications.setHold(notification, 'focused', false);
+            }
+        });
+        
+        return notification;
+    }
+
+    /**
+     * Remember where focus came from, to return it when the toast closes
+     * @param {HTMLElement} notification - Notification element gaining focus
+     * @param {HTMLElement|null} from - Element losing focus
+     */
+    static rememberFocus(notification, from) {
+        const entry = Notifications.entries.get(notification);
+        if (!entry || !from || notification.contains(from)) return;
+        
+        // Moving between toasts keeps the original place on the page
+        const fromEntry = from.closest ? Notifications.entries.get(from.closest('.notification')) : null;
+        entry.returnFocus = fromEntry ? fromEntry.returnFocus : from;
+    }
+
+    /**
+     * Render a notification's action buttons
+     * @param {HTMLElement} notification - Notification element
+     * @param {Array<Object>} actions - Actions as { id, label, primary }
+     */
+    static renderActions(notification, actions) {
+        const container = notification.querySelector('.notification-actions');
+        container.innerHTML = '';
+        container.hidden = actions.length === 0;
+        
+        actions.forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `btn btn-sm ${action.primary ? 'btn-primary' : 'btn-outline-secondary'} notification-action`;
+            button.dataset.notificationAction = action.id;
+            button.textContent = action.label;
+            container.appendChild(button);
+        });
+    }
+
+    /**
+     * Render the progress bar for a timed notification
+     * @param {HTMLElement} notification - Notification element
+     * @param {number} duration - Duration in milliseconds (0 for none)
+     */
+    static renderProgress(notification, duration) {
+        const existing = notification.querySelector('.notification-progress');
+        if (existing) {
+            existing.parentNode.removeChild(existing);
+        }
+        
+        // A fresh element also restarts the animation
+        if (duration > 0) {
+            const progress = document.createElement('div');
+            progress.className = 'notification-progress';
+            progress.style.animationDuration = `${duration}ms`;
+            notification.appendChild(progress);
+        }
+    }
+
+    /**
+     * Put a notification on screen and start its timer
+     * @param {Object} entry - Queue entry
+     */
+    static display(entry) {
         // Get container
         let container = document.getElementById('notification-container');
         if (!container) {
@@ -156,46 +597,296 @@ class Notifications {
         }
         
         // Add to container
-        container.appendChild(notification);
+        container.appendChild(entry.element);
+        Notifications.visible.push(entry);
         
-        // Add close event
-        closeButton.addEventListener('click', () => {
-            Notifications.hide(notification);
+        Notifications.startTimer(entry);
+        Notifications.announce(entry);
+        
+        EventBus.emit('notification:shown', {
+            element: entry.element,
+            message: entry.message,
+            type: entry.type,
+            duration: entry.duration
         });
+    }
+
+    /**
+     * Queue a notification behind higher or equal priorities
+     * @param {Object} entry - Queue entry
+     */
+    static enqueue(entry) {
+        const index = Notifications.queue.findIndex(queued => queued.priority < entry.priority);
         
-        // Auto hide if duration is specified
-        if (duration > 0) {
-            setTimeout(() => {
-                Notifications.hide(notification);
-            }, duration);
+        if (index === -1) {
+            Notifications.queue.push(entry);
+        } else {
+            Notifications.queue.splice(index, 0, entry);
         }
         
-        // Return notification element for external control
-        return notification;
+        EventBus.emit('notification:queued', {
+            element: entry.element,
+            message: entry.message,
+            type: entry.type,
+            position: Notifications.queue.indexOf(entry)
+        });
+    }
+
+    /**
+     * Show queued notifications while there is room
+     */
+    static next() {
+        while (Notifications.queue.length && Notifications.visible.length < Config.NOTIFICATION.MAX_VISIBLE) {
+            Notifications.display(Notifications.queue.shift());
+        }
+    }
+
+    /**
+     * Find a showing or waiting notification
+     * @param {string} key - Type and message key
+     * @returns {Object|undefined} Queue entry
+     */
+    static find(key) {
+        return Notifications.visible.concat(Notifications.queue)
+            .find(entry => entry.key === key && !entry.hiding);
+    }
+
+    /**
+     * Count a repeated message and give its toast its full time again
+     * @param {Object} entry - Queue entry
+     */
+    static repeat(entry) {
+        entry.count++;
+        
+        const count = entry.element.querySelector('.notification-count');
+        count.textContent = `×${entry.count}`;
+        count.hidden = false;
+        
+        if (entry.duration > 0) {
+            Notifications.restartTimer(entry);
+        }
+        
+        if (Notifications.visible.includes(entry)) {
+            Notifications.announce(entry);
+        }
+        
+        EventBus.emit('notification:repeat', {
+            element: entry.element,
+            message: entry.message,
+            type: entry.type,
+            count: entry.count
+        });
+    }
+
+    /**
+     * Change a notification in place
+     * @param {HTMLElement} notification - Notification element
+     * @param {Object} changes - Any of message, type, duration and actions
+     */
+    static update(notification, changes = {}) {
+        const entry = Notifications.entries.get(notification);
+        if (!entry || entry.hiding) return;
+        
+        const key = entry.key;
+        
+        if (changes.message !== undefined && changes.message !== entry.message) {
+            entry.message = changes.message;
+            entry.count = 1;
+            
+            const messageSpan = notification.querySelector('.notification-message');
+            messageSpan.firstChild.textContent = entry.message;
+            messageSpan.querySelector('.notification-count').hidden = true;
+        }
+        
+        if (changes.type !== undefined && changes.type !== entry.type) {
+            notification.classList.remove(`notification-${entry.type}`);
+            notification.classList.add(`notification-${changes.type}`);
+            entry.type = changes.type;
+        }
+        
+        entry.key = `${entry.type}:${entry.message}`;
+        
+        if (changes.actions !== undefined) {
+            entry.actions = changes.actions;
+            Notifications.renderActions(notification, entry.actions);
+        }
+        
+        // A new duration starts counting from now
+        if (changes.duration !== undefined) {
+            entry.duration = changes.duration;
+            Notifications.restartTimer(entry);
+        }
+        
+        if (entry.key !== key && Notifications.visible.includes(entry)) {
+            Notifications.announce(entry);
+        }
+        
+        EventBus.emit('notification:updated', {
+            element: notification,
+            message: entry.message,
+            type: entry.type
+        });
+    }
+
+    /**
+     * Run an action: settle the promise and close the toast
+     * @param {HTMLElement} notification - Notification element
+     * @param {string} action - Action id
+     */
+    static act(notification, action) {
+        const entry = Notifications.entries.get(notification);
+        if (!entry || entry.hiding) return;
+        
+        EventBus.emit('notification:action', { element: notification, message: entry.message, action });
+        Notifications.settle(entry, { action, reason: 'action' });
+        Notifications.hide(notification);
+    }
+
+    /**
+     * Resolve a notification's promise, once
+     * @param {Object} entry - Queue entry
+     * @param {Object} result - { action, reason }
+     */
+    static settle(entry, result) {
+        if (entry.settled) return;
+        
+        entry.settled = true;
+        entry.resolve(result);
+    }
+
+    /**
+     * Give a notification its full time again
+     * @param {Object} entry - Queue entry
+     */
+    static restartTimer(entry) {
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        entry.remaining = entry.duration;
+        
+        Notifications.renderProgress(entry.element, Notifications.getDuration(entry));
+        
+        if (Notifications.visible.includes(entry)) {
+            Notifications.startTimer(entry);
+        }
+    }
+
+    /**
+     * Start or resume the auto-dismiss timer
+     * @param {Object} entry - Queue entry
+     */
+    static startTimer(entry) {
+        if (Notifications.getDuration(entry) <= 0 || entry.timer || entry.hovered || entry.focused) return;
+        
+        entry.startedAt = Date.now();
+        entry.timer = setTimeout(() => {
+            Notifications.hide(entry.element, 'timeout');
+        }, entry.remaining);
+    }
+
+    /**
+     * Pause or resume a notification while it is hovered or focused
+     * @param {HTMLElement} notification - Notification element
+     * @param {string} reason - "hovered" or "focused"
+     * @param {boolean} held - Whether the reason applies
+     */
+    static setHold(notification, reason, held) {
+        const entry = Notifications.entries.get(notification);
+        if (!entry || entry.hiding) return;
+        
+        entry[reason] = held;
+        
+        if (entry.hovered || entry.focused) {
+            if (entry.timer) {
+                clearTimeout(entry.timer);
+                entry.timer = null;
+                entry.remaining = Math.max(0, entry.remaining - (Date.now() - entry.startedAt));
+            }
+            notification.classList.add('notification-paused');
+        } else {
+            notification.classList.remove('notification-paused');
+            Notifications.startTimer(entry);
+        }
+    }
+
+    /**
+     * Get how long a notification stays, given the "keep notifications" setting
+     * @param {Object} entry - Queue entry
+     * @returns {number} Duration in milliseconds (0 for persistent)
+     */
+    static getDuration(entry) {
+        return Notifications.persistent ? 0 : entry.duration;
+    }
+
+    /**
+     * Get a notification type's queue priority
+     * @param {string} type - Notification type
+     * @returns {number} Priority (higher shows first)
+     */
+    static getPriority(type) {
+        const priority = Config.NOTIFICATION.PRIORITIES[type];
+        return priority !== undefined ? priority : 0;
     }
 
     /**
      * Hide notification
-     * @param {HTMLElement} notification - Notification element to hide
+     * @param {HTMLElement|Object} notification - Notification element or handle to hide
+     * @param {string} reason - Reason the handle's promise resolves with, if no action was picked
      */
-    static hide(notification) {
+    static hide(notification, reason = 'dismiss') {
+        if (notification && notification.element) {
+            notification = notification.element;
+        }
+        
+        const entry = notification && Notifications.entries.get(notification);
+        if (entry) {
+            Notifications.settle(entry, { action: null, reason });
+        }
+        
+        // Still waiting: just drop it from the queue
+        if (entry && Notifications.queue.includes(entry)) {
+            Notifications.queue.splice(Notifications.queue.indexOf(entry), 1);
+            return;
+        }
+        
         if (!notification || !notification.parentNode) return;
+        if (entry) {
+            if (entry.hiding) return;
+            entry.hiding = true;
+            clearTimeout(entry.timer);
+            entry.timer = null;
+            
+            if (notification.contains(document.activeElement)) {
+                Notifications.restoreFocus(entry);
+            }
+        }
         
         // Add slide out animation
         notification.style.animation = 'slideOut 0.3s ease forwards';
         
-        // Remove after animation completes
+        // Remove after animation completes, then make room for the next one
         setTimeout(() => {
             if (notification.parentNode) {
                 notification.parentNode.removeChild(notification);
+                EventBus.emit('notification:hidden', { element: notification });
             }
-        }, 300);
+            
+            if (entry) {
+                const index = Notifications.visible.indexOf(entry);
+                if (index > -1) {
+                    Notifications.visible.splice(index, 1);
+                }
+            }
+            Notifications.next();
+        }, Motion.duration(300));
     }
 
     /**
-     * Hide all notifications
+     * Hide all notifications, including queued ones
      */
     static hideAll() {
+        Notifications.queue.forEach(entry => Notifications.settle(entry, { action: null, reason: 'dismiss' }));
+        Notifications.queue = [];
+        
         const container = document.getElementById('notification-container');
         if (!container) return;
         
@@ -209,40 +900,44 @@ class Notifications {
      * Show success notification
      * @param {string} message - Success message
      * @param {number} duration - Duration in milliseconds
-     * @returns {HTMLElement} Notification element
+     * @param {Object} options - Extra options, as for show()
+     * @returns {Object} Notification handle
      */
-    static success(message, duration = Config.NOTIFICATION.DURATION) {
-        return Notifications.show(message, Config.NOTIFICATION.TYPES.SUCCESS, duration);
+    static success(message, duration = Config.NOTIFICATION.DURATION, options = {}) {
+        return Notifications.show(message, Config.NOTIFICATION.TYPES.SUCCESS, duration, options);
     }
 
     /**
      * Show error notification
      * @param {string} message - Error message
      * @param {number} duration - Duration in milliseconds
-     * @returns {HTMLElement} Notification element
+     * @param {Object} options - Extra options, as for show()
+     * @returns {Object} Notification handle
      */
-    static error(message, duration = Config.NOTIFICATION.DURATION) {
-        return Notifications.show(message, Config.NOTIFICATION.TYPES.ERROR, duration);
+    static error(message, duration = Config.NOTIFICATION.DURATION, options = {}) {
+        return Notifications.show(message, Config.NOTIFICATION.TYPES.ERROR, duration, options);
     }
 
     /**
      * Show info notification
      * @param {string} message - Info message
      * @param {number} duration - Duration in milliseconds
-     * @returns {HTMLElement} Notification element
+     * @param {Object} options - Extra options, as for show()
+     * @returns {Object} Notification handle
      */
-    static info(message, duration = Config.NOTIFICATION.DURATION) {
-        return Notifications.show(message, Config.NOTIFICATION.TYPES.INFO, duration);
+    static info(message, duration = Config.NOTIFICATION.DURATION, options = {}) {
+        return Notifications.show(message, Config.NOTIFICATION.TYPES.INFO, duration, options);
     }
 
     /**
      * Show warning notification
      * @param {string} message - Warning message
      * @param {number} duration - Duration in milliseconds
-     * @returns {HTMLElement} Notification element
+     * @param {Object} options - Extra options, as for show()
+     * @returns {Object} Notification handle
      */
-    static warning(message, duration = Config.NOTIFICATION.DURATION) {
-        return Notifications.show(message, Config.NOTIFICATION.TYPES.WARNING, duration);
+    static warning(message, duration = Config.NOTIFICATION.DURATION, options = {}) {
+        return Notifications.show(message, Config.NOTIFICATION.TYPES.WARNING, duration, options);
     }
 
     /**
@@ -256,6 +951,14 @@ class Notifications {
         return Array.from(container.querySelectorAll('.notification'));
     }
 
+    /**
+     * Get notifications waiting for room
+     * @returns {Array} Queued notification elements, next first
+     */
+    static getQueued() {
+        return Notifications.queue.map(entry => entry.element);
+    }
+
     /**
      * Get notification count
      * @returns {number} Number of active notifications
@@ -265,9 +968,16 @@ class Notifications {
     }
 
     /**
-     * Clear all notifications
+     * Clear all notifications at once, including queued ones
      */
     static clear() {
+        Notifications.visible.concat(Notifications.queue).forEach(entry => {
+            clearTimeout(entry.timer);
+            Notifications.settle(entry, { action: null, reason: 'dismiss' });
+        });
+        Notifications.visible = [];
+        Notifications.queue = [];
+        
         const container = document.getElementById('notification-container');
         if (!container) return;
         
@@ -301,9 +1011,19 @@ class Notifications {
     }
 }
 
-// Initialize notifications when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    Notifications.init();
+// Notifications on screen and waiting, in order, by element
+Notifications.entries = new WeakMap();
+Notifications.visible = [];
+Notifications.queue = [];
+Notifications.persistent = false;
+Notifications.regions = {};
+
+// Milliseconds before announcing, so a region added in the same frame is registered first
+Notifications.ANNOUNCE_DELAY = 100;
+
+// Register module
+ModuleRegistry.register('notifications', Notifications, {
+    dependencies: ['config', 'event-bus', 'i18n', 'motion', 'consent']
 });
 
 // Export module
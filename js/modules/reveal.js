@@ -0,0 +1,188 @@
+// Reveal Module
+
+// Declarative entrance effects. Any element with data-reveal is revealed the
+// first time it scrolls into view, including elements added later:
+//
+//   data-reveal="fade-up"        Effect: fade-in, fade-up, fade-down, fade-left, fade-right or zoom-in
+//   data-reveal-delay="200"      Extra delay in milliseconds
+//   data-reveal-group="courses"  Elements of a group entering together are staggered
+//   data-reveal-once="false"     Hide again on leaving the viewport and replay next time
+//   data-reveal-threshold="0.5"  Share of the element that must be visible
+class Reveal {
+    /**
+     * Observe marked elements in the page and any added later
+     */
+    static init() {
+        Reveal.observers = new Map();
+        Reveal.tracked = new WeakSet();
+
+        Reveal.scan(document);
+
+        // Cards rendered from data opt in through their markup too
+        if ('MutationObserver' in window) {
+            Reveal.mutations = new MutationObserver(records => {
+                records.forEach(record => {
+                    record.addedNodes.forEach(node => {
+                        if (node.nodeType === Node.ELEMENT_NODE) {
+                            Reveal.scan(node);
+                        }
+                    });
+                });
+            });
+            Reveal.mutations.observe(document.body, { childList: true, subtree: true });
+        }
+    }
+
+    /**
+     * Start observing marked elements inside an element
+     * @param {HTMLElement|Document} root - Element to search, included itself
+     */
+    static scan(root = document) {
+        const elements = Array.from(root.querySelectorAll(Reveal.SELECTOR));
+        if (root.matches && root.matches(Reveal.SELECTOR)) {
+            elements.unshift(root);
+        }
+
+        elements
+            .filter(element => !Reveal.tracked.has(element))
+            .forEach(element => Reveal.observe(element));
+    }
+
+    /**
+     * Observe one element
+     * @param {HTMLElement} element - Element with data-reveal
+     */
+    static observe(element) {
+        Reveal.tracked.add(element);
+
+        // Without IntersectionObserver everything is simply shown
+        if (!('IntersectionObserver' in window)) {
+            Reveal.show(element);
+            return;
+        }
+
+        Reveal.getObserver(Reveal.getThreshold(element)).observe(element);
+    }
+
+    /**
+     * Get the shared observer for a threshold
+     * @param {number} threshold - Visible share, 0 to 1
+     * @returns {IntersectionObserver} Observer
+     */
+    static getObserver(threshold) {
+        if (!Reveal.observers.has(threshold)) {
+            Reveal.observers.set(threshold, new IntersectionObserver(Reveal.onIntersect, {
+                root: null,
+                rootMargin: Config.REVEAL.ROOT_MARGIN,
+                threshold
+            }));
+        }
+        return Reveal.observers.get(threshold);
+    }
+
+    /**
+     * Reveal entering elements, staggering each group
+     * @param {Array<IntersectionObserverEntry>} entries - Observer entries
+     * @param {IntersectionObserver} observer - Observer that fired
+     */
+    static onIntersect(entries, observer) {
+        const positions = new Map();
+
+        entries.forEach(entry => {
+            const element = entry.target;
+
+            if (!entry.isIntersecting) {
+                if (!Reveal.isOnce(element)) {
+                    Reveal.hide(element);
+                }
+                return;
+            }
+
+            // Position within this batch of the same group
+            const group = element.dataset.revealGroup;
+            const position = group ? (positions.get(group) || 0) : 0;
+            if (group) {
+                positions.set(group, position + 1);
+            }
+
+            const delay = (parseInt(element.dataset.revealDelay) || 0) + position * Config.ANIMATION.STAGGER_DELAY;
+            Reveal.show(element, delay);
+
+            if (Reveal.isOnce(element)) {
+                observer.unobserve(element);
+            }
+        });
+    }
+
+    /**
+     * Reveal an element
+     * @param {HTMLElement} element - Element to reveal
+     * @param {number} delay - Delay in milliseconds
+     */
+    static show(element, delay = 0) {
+        if (element.classList.contains('revealed')) return;
+
+        element.style.setProperty('--reveal-delay', `${Motion.duration(delay)}ms`);
+        element.classList.add('revealed');
+
+        EventBus.emit('reveal:show', { element, group: element.dataset.revealGroup || null });
+    }
+
+    /**
+     * Hide an element so it reveals again
+     * @param {HTMLElement} element - Revealed element
+     */
+    static hide(element) {
+        element.classList.remove('revealed');
+        element.style.removeProperty('--reveal-delay');
+    }
+
+    /**
+     * Hide revealed elements and watch them again
+     * @param {HTMLElement|Document} root - Element to reset
+     */
+    static reset(root = document) {
+        root.querySelectorAll(Reveal.SELECTOR).forEach(element => {
+            Reveal.hide(element);
+            Reveal.tracked.delete(element);
+        });
+
+        Reveal.scan(root);
+    }
+
+    /**
+     * Check whether an element stays revealed once shown
+     * @param {HTMLElement} element - Element with data-reveal
+     * @returns {boolean} False only for data-reveal-once="false"
+     */
+    static isOnce(element) {
+        return element.dataset.revealOnce !== 'false';
+    }
+
+    /**
+     * Get an element's threshold
+     * @param {HTMLElement} element - Element with data-reveal
+     * @returns {number} Threshold, 0 to 1
+     */
+    static getThreshold(element) {
+        const threshold = parseFloat(element.dataset.revealThreshold);
+        return threshold >= 0 && threshold <= 1 ? threshold : Config.REVEAL.THRESHOLD;
+    }
+}
+
+Reveal.SELECTOR = '[data-reveal]';
+
+// Shared observers by threshold
+Reveal.observers = new Map();
+Reveal.tracked = new WeakSet();
+Reveal.mutations = null;
+
+// Register module
+ModuleRegistry.register('reveal', Reveal, {
+    dependencies: ['config', 'event-bus', 'motion']
+});
+
+// Export module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Reveal;
+}
\ No newline at end of file
@@ -0,0 +1,314 @@
+// Router Module
+
+class Router {
+    /**
+     * Initialize hash routing
+     */
+    static init() {
+        Router.routes = [];
+        Router.current = null;
+        Router.landing = null;
+
+        // Back and forward scroll through the router, not the browser
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+
+        document.addEventListener('click', Router.onClick);
+
+        // popstate covers back/forward, hashchange covers typing a new hash
+        window.addEventListener('popstate', () => Router.resolve({ trigger: 'pop' }));
+        window.addEventListener('hashchange', () => Router.resolve({ trigger: 'pop' }));
+
+        // The browser jumps to a deep-linked section without the navbar offset
+        Router.resolve({ trigger: 'load' });
+        Router.setupLanding();
+    }
+
+    /**
+     * Route clicks on in-page links
+     * @param {MouseEvent} e - Click event
+     */
+    static onClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest(Router.LINK_SELECTOR);
+        if (!link) return;
+
+        // Links the router cannot resolve keep the browser's default behaviour
+        const path = Router.getPath(link.getAttribute('href'));
+        if (!Router.getTarget(path) && !Router.isRegistered(path)) return;
+
+        e.preventDefault();
+        SmoothScroll.closeMobileNavbar();
+        Router.navigate(path);
+    }
+
+    /**
+     * Go to a route, adding a history entry
+     * @param {string} target - Route path or hash, e.g. "facilities" or "#courses/finance"
+     * @param {Object} options - Navigation options
+     * @param {boolean} options.replace - Replace the current history entry instead
+     * @param {boolean} options.scroll - Scroll to the route's section
+     */
+    static navigate(target, { replace = false, scroll = true } = {}) {
+        const path = Router.getPath(target);
+
+        // Following a link to the current section scrolls back to it
+        if (Router.current && Router.current.path === path) {
+            if (scroll) {
+                Router.scroll(path, null, 'push');
+            }
+            return;
+        }
+
+        const url = path ? `#${path}` : `${window.location.pathname}${window.location.search}`;
+
+        if (replace) {
+            history.replaceState({ route: path }, '', url);
+        } else {
+            history.pushState({ route: path }, '', url);
+        }
+
+        Router.resolve({ trigger: replace ? 'replace' : 'push', scroll });
+    }
+
+    /**
+     * Leave the current route and enter the one in the URL
+     * @param {Object} options - Resolve options
+     * @param {string} options.trigger - What changed the URL: load, push, replace or pop
+     * @param {boolean} options.scroll - Scroll to the route's section
+     */
+    static resolve({ trigger = 'pop', scroll = true } = {}) {
+        const path = Router.getPath(window.location.hash);
+        const previous = Router.current;
+
+        if (previous && previous.path === path) return;
+
+        Router.current = { path };
+
+        if (previous) {
+            Router.runHooks('leave', previous.path, { path: previous.path, next: path, trigger });
+            EventBus.emit('route:leave', { path: previous.path, next: path });
+        }
+
+        const from = previous ? previous.path : null;
+        Router.runHooks('enter', path, { path, previous: from, trigger });
+        EventBus.emit('route:enter', { path, previous: from, trigger });
+
+        if (scroll) {
+            Router.scroll(path, from, trigger);
+        }
+    }
+
+    /**
+     * Scroll to a route's section
+     * @param {string} path - Route path
+     * @param {string|null} previous - Path of the route being left
+     * @param {string} trigger - What changed the URL
+     */
+    static scroll(path, previous, trigger) {
+        // Closing a view such as a course detail returns to where the reader was
+        if (previous && Router.isRegistered(previous) && !Router.getTarget(previous)) return;
+
+        const target = Router.getTarget(path);
+
+        if (target) {
+            SmoothScroll.scrollToElement(target, { smooth: trigger !== 'load' });
+        } else if (!path && previous !== null) {
+            SmoothScroll.scrollToTop();
+        }
+    }
+
+    /**
+     * Correct a deep link again once images have loaded and moved the section
+     */
+    static setupLanding() {
+        if (document.readyState === 'complete' || !Router.getTarget(Router.current.path)) return;
+
+        Router.landing = Router.current.path;
+
+        // Leave the page alone once the reader starts scrolling
+        const cancel = () => {
+            Router.landing = null;
+        };
+        ['wheel', 'touchstart', 'keydown'].forEach(type => {
+            window.addEventListener(type, cancel, { once: true, passive: true });
+        });
+
+        window.addEventListener('load', () => {
+            if (Router.landing && Router.landing === Router.current.path) {
+                SmoothScroll.scrollToElement(Router.getTarget(Router.landing), { smooth: false });
+            }
+            Router.landing = null;
+        }, { once: true });
+    }
+
+    /**
+     * Add enter and leave hooks for a route. Patterns are paths with
+     * ":name" segments, e.g. "courses/:slug", or "*" for every route.
+     * Hooks added while their route is current enter straight away.
+     * @param {string} pattern - Route pattern
+     * @param {Object} hooks - Hooks called with (params, context)
+     * @param {Function} hooks.enter - Called when the route is entered
+     * @param {Function} hooks.leave - Called when the route is left
+     * @returns {Function} Function that removes the hooks
+     */
+    static register(pattern, hooks) {
+        const route = { pattern, ...Router.compile(pattern), hooks };
+        Router.routes.push(route);
+
+        const current = Router.current;
+        if (current && typeof hooks.enter === 'function') {
+            const params = Router.match(route, current.path);
+            if (params) {
+                Router.call(route, 'enter', params, { path: current.path, previous: null, trigger: 'load' });
+            }
+        }
+
+        return () => {
+            Router.routes = Router.routes.filter(existing => existing !== route);
+        };
+    }
+
+    /**
+     * Add a hook for entering a route
+     * @param {string} pattern - Route pattern
+     * @param {Function} callback - Called with (params, context)
+     * @returns {Function} Function that removes the hook
+     */
+    static onEnter(pattern, callback) {
+        return Router.register(pattern, { enter: callback });
+    }
+
+    /**
+     * Add a hook for leaving a route
+     * @param {string} pattern - Route pattern
+     * @param {Function} callback - Called with (params, context)
+     * @returns {Function} Function that removes the hook
+     */
+    static onLeave(pattern, callback) {
+        return Router.register(pattern, { leave: callback });
+    }
+
+    /**
+     * Call the hooks of every route matching a path
+     * @param {string} type - Hook type: enter or leave
+     * @param {string} path - Route path
+     * @param {Object} context - Navigation details passed to the hooks
+     */
+    static runHooks(type, path, context) {
+        Router.routes.slice().forEach(route => {
+            const params = Router.match(route, path);
+            if (params) {
+                Router.call(route, type, params, context);
+            }
+        });
+    }
+
+    /**
+     * Call one hook, keeping a failing hook from breaking navigation
+     * @param {Object} route - Registered route
+     * @param {string} type - Hook type: enter or leave
+     * @param {Object} params - Route parameters
+     * @param {Object} context - Navigation details
+     */
+    static call(route, type, params, context) {
+        const hook = route.hooks[type];
+        if (typeof hook !== 'function') return;
+
+        try {
+            hook(params, context);
+        } catch (error) {
+            console.error(`Route "${route.pattern}" ${type} hook failed:`, error);
+        }
+    }
+
+    /**
+     * Compile a route pattern
+     * @param {string} pattern - Route pattern
+     * @returns {Object} Regular expression and parameter names
+     */
+    static compile(pattern) {
+        if (pattern === '*') {
+            return { regex: /^.*$/, keys: [] };
+        }
+
+        const keys = [];
+        const source = pattern.split('/').map(segment => {
+            if (segment.startsWith(':')) {
+                keys.push(segment.slice(1));
+                return '([\\w-]+)';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('/');
+
+        return { regex: new RegExp(`^${source}$`), keys };
+    }
+
+    /**
+     * Match a path against a route
+     * @param {Object} route - Registered route
+     * @param {string} path - Route path
+     * @returns {Object|null} Route parameters, or null if it does not match
+     */
+    static match(route, path) {
+        const result = route.regex.exec(path);
+        if (!result) return null;
+
+        return route.keys.reduce((params, key, index) => {
+            params[key] = result[index + 1];
+            return params;
+        }, {});
+    }
+
+    /**
+     * Check whether a path has hooks of its own
+     * @param {string} path - Route path
+     * @returns {boolean} True if a route other than "*" matches
+     */
+    static isRegistered(path) {
+        return Router.routes.some(route => route.pattern !== '*' && Router.match(route, path));
+    }
+
+    /**
+     * Get the section a path scrolls to
+     * @param {string} path - Route path
+     * @returns {HTMLElement|null} Section element
+     */
+    static getTarget(path) {
+        return path ? document.getElementById(path) : null;
+    }
+
+    /**
+     * Get the route path from a hash
+     * @param {string} hash - e.g. "#facilities"
+     * @returns {string} e.g. "facilities"
+     */
+    static getPath(hash) {
+        const path = (hash || '').replace(/^#/, '');
+
+        try {
+            return decodeURIComponent(path);
+        } catch (error) {
+            return path;
+        }
+    }
+}
+
+// Apply buttons open the wizard and Bootstrap toggles manage themselves
+Router.LINK_SELECTOR = 'a[href^="#"]:not([href="#"]):not([data-apply]):not([data-bs-toggle])';
+
+Router.routes = [];
+Router.current = null;
+Router.landing = null;
+
+// Register module
+ModuleRegistry.register('router', Router, {
+    dependencies: ['event-bus', 'smooth-scroll']
+});
+
+// Export module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Router;
+}
\ No newline at end of file
@@ -1,61 +1,18 @@
 // Smooth Scroll Module
 
+// In-page links are routed by Router, which scrolls through this module.
+// Every scroll jumps instead of animating while Motion is reduced.
 class SmoothScroll {
-    /**
-     * Initialize smooth scrolling
-     * @param {HTMLElement} element - Element to initialize on
-     */
-    static init(element = document) {
-        // Add smooth scrolling to all anchor links
-        const links = element.querySelectorAll('a[href^="#"]:not([href="#"])');
-        
-        links.forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                
-                const targetId = link.getAttribute('href');
-                if (targetId === '#') return;
-                
-                const targetElement = document.querySelector(targetId);
-                if (targetElement) {
-                    // Close mobile navbar if open
-                    SmoothScroll.closeMobileNavbar();
-                    
-                    // Scroll to target
-                    SmoothScroll.scrollToElement(targetElement);
-                }
-            });
-        });
-    }
-
     /**
      * Scroll to element with smooth animation
      * @param {HTMLElement} element - Element to scroll to
+     * @param {Object} options - Scroll options
+     * @param {boolean} options.smooth - Animate the scroll, or jump straight there
      */
-    static scrollToElement(element) {
-        const targetPosition = element.getBoundingClientRect().top + window.pageYOffset;
-        const startPosition = window.pageYOffset;
-        const distance = targetPosition - startPosition - 80; // Offset for navbar
-        const duration = 800;
-        let startTime = null;
-
-        function animation(currentTime) {
-            if (startTime === null) startTime = currentTime;
-            const timeElapsed = currentTime - startTime;
-            const progress = Math.min(timeElapsed / duration, 1);
-            
-            // Easing function (easeInOutCubic)
-            const easeInOutCubic = t => t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1;
-            const run = easeInOutCubic(progress) * distance + startPosition;
-            
-            window.scrollTo(0, run);
-            
-            if (timeElapsed < duration) {
-                requestAnimationFrame(animation);
-            }
-        }
+    static scrollToElement(element, { smooth = true } = {}) {
+        const targetPosition = element.getBoundingClientRect().top + window.pageYOffset - SmoothScroll.OFFSET;
 
-        requestAnimationFrame(animation);
+        SmoothScroll.scrollToPosition(targetPosition, smooth ? Config.ANIMATION.SCROLL_DURATION : 0);
     }
 
     /**
@@ -77,7 +34,7 @@ class SmoothScroll {
     static scrollToTop() {
         window.scrollTo({
             top: 0,
-            behavior: 'smooth'
+            behavior: Motion.getScrollBehavior()
         });
     }
 
@@ -87,16 +44,22 @@ class SmoothScroll {
     static scrollToBottom() {
         window.scrollTo({
             top: document.body.scrollHeight,
-            behavior: 'smooth'
+            behavior: Motion.getScrollBehavior()
         });
     }
 
     /**
      * Scroll to specific position
      * @param {number} position - Position to scroll to
-     * @param {number} duration - Duration of scroll animation
+     * @param {number} duration - Duration of scroll animation, 0 to jump
      */
-    static scrollToPosition(position, duration = 800) {
+    static scrollToPosition(position, duration = Config.ANIMATION.SCROLL_DURATION) {
+        if (!Motion.duration(duration)) {
+            // 'instant' overrides the stylesheet's scroll-behavior: smooth
+            window.scrollTo({ top: position, behavior: 'instant' });
+            return;
+        }
+
         const startPosition = window.pageYOffset;
         const distance = position - startPosition;
         let startTime = null;
@@ -121,6 +84,14 @@ class SmoothScroll {
     }
 }
 
+// Space left for the fixed navbar above a scroll target
+SmoothScroll.OFFSET = 80;
+
+// Register module
+ModuleRegistry.register('smooth-scroll', SmoothScroll, {
+    dependencies: ['config', 'motion']
+});
+
 // Export module
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = SmoothScroll;
@@ -0,0 +1,156 @@
+// Stats Module
+
+// Keeps the overview stat cards in step with Config.STATS.URL. Each counter
+// names its figure with data-stat; the markup's data-count stays as the
+// fallback when the feed cannot be loaded.
+class Stats {
+    /**
+     * Initialize the stats feed
+     */
+    static init() {
+        Stats.element = null;
+        Stats.updatedAt = null;
+        Stats.timer = null;
+        Stats.interval = 0;
+
+        // Pause polling in background tabs and catch up on return
+        document.addEventListener('visibilitychange', () => {
+            if (!Stats.interval) return;
+
+            if (document.hidden) {
+                Stats.stop();
+            } else {
+                Stats.refresh().then(() => Stats.schedule());
+            }
+        });
+
+        EventBus.on('locale:change', () => Stats.renderAsOf());
+    }
+
+    /**
+     * Load live figures into a stats block
+     * @param {HTMLElement} element - Element holding [data-stat] counters
+     */
+    static mount(element) {
+        Stats.element = element;
+
+        // data-stats-poll on the element overrides the configured interval
+        const poll = parseInt(element.dataset.statsPoll);
+        Stats.interval = isNaN(poll) ? Config.STATS.POLL_INTERVAL : poll;
+
+        Stats.refresh().then(() => Stats.schedule());
+    }
+
+    /**
+     * Fetch the feed and apply it
+     * @returns {Promise<boolean>} True if new figures were applied
+     */
+    static refresh() {
+        // A failed poll simply waits for the next one
+        return HttpClient.get(Config.STATS.URL, { retries: Stats.interval ? 0 : Config.API.RETRIES })
+            .then(data => {
+                Stats.apply(data);
+                return true;
+            })
+            .catch(error => {
+                console.warn('Live stats unavailable, keeping the current figures:', error.message);
+                EventBus.emit('stats:fallback', { error });
+                return false;
+            });
+    }
+
+    /**
+     * Apply feed data to the counters
+     * @param {Object} data - Feed data, e.g. { updatedAt, stats: { alumni: 5200 } }
+     */
+    static apply(data) {
+        if (!data || typeof data.stats !== 'object' || data.stats === null) {
+            throw new Error('Stats data has no stats object');
+        }
+
+        const changed = [];
+
+        Stats.getCounters().forEach(counter => {
+            const key = counter.dataset.stat;
+            const value = Number(data.stats[key]);
+            if (!(key in data.stats) || !isFinite(value)) return;
+
+            if (value !== parseFloat(counter.dataset.count)) {
+                Counters.setTarget(counter, value);
+                changed.push(key);
+            }
+        });
+
+        const updatedAt = data.updatedAt ? new Date(data.updatedAt) : null;
+        Stats.updatedAt = updatedAt && !isNaN(updatedAt.getTime()) ? updatedAt : null;
+        Stats.renderAsOf();
+
+        EventBus.emit('stats:update', { stats: data.stats, updatedAt: Stats.updatedAt, changed });
+    }
+
+    /**
+     * Show when the figures were last updated
+     */
+    static renderAsOf() {
+        if (!Stats.element) return;
+
+        const asOf = Stats.element.querySelector('[data-stats-as-of]');
+        if (!asOf) return;
+
+        if (!Stats.updatedAt) {
+            asOf.hidden = true;
+            return;
+        }
+
+        const time = asOf.querySelector('time') || asOf;
+        time.textContent = I18n.t('stats.asOf', { date: I18n.formatDate(Stats.updatedAt) });
+        if (time.tagName === 'TIME') {
+            time.dateTime = Stats.updatedAt.toISOString();
+        }
+        asOf.hidden = false;
+    }
+
+    /**
+     * Queue the next poll, if polling is on
+     */
+    static schedule() {
+        Stats.stop();
+
+        if (!Stats.interval || document.hidden) return;
+
+        Stats.timer = setTimeout(() => {
+            Stats.refresh().then(() => Stats.schedule());
+        }, Stats.interval);
+    }
+
+    /**
+     * Stop polling
+     */
+    static stop() {
+        clearTimeout(Stats.timer);
+        Stats.timer = null;
+    }
+
+    /**
+     * Get the counters fed by the stats feed
+     * @returns {Array<HTMLElement>} Counter elements with data-stat
+     */
+    static getCounters() {
+        return Stats.element ? Array.from(Stats.element.querySelectorAll('[data-stat]')) : [];
+    }
+}
+
+Stats.element = null;
+Stats.updatedAt = null;
+Stats.timer = null;
+Stats.interval = 0;
+
+// Register module
+ModuleRegistry.register('stats', Stats, {
+    dependencies: ['config', 'event-bus', 'i18n', 'http', 'counters']
+});
+
+// Export module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Stats;
+}
\ No newline at end of file
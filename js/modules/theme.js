@@ -0,0 +1,185 @@
+// Theme Module
+
+class Theme {
+    /**
+     * Apply the saved or system theme and follow system changes
+     */
+    static init() {
+        Theme.choice = Theme.load();
+        Theme.toggles = [];
+        Theme.apply();
+
+        // "system" follows the OS setting while the page is open
+        Object.values(Theme.QUERIES).forEach(query => {
+            const media = window.matchMedia(query);
+            const onChange = () => {
+                if (Theme.choice === 'system') {
+                    Theme.apply();
+                }
+            };
+
+            if (media.addEventListener) {
+                media.addEventListener('change', onChange);
+            } else if (media.addListener) {
+                media.addListener(onChange);
+            }
+        });
+
+        EventBus.on('locale:change', () => Theme.updateToggles());
+
+        // Revoking consent removes the stored choice (Config.CONSENT.KEYS); granting it stores this one
+        EventBus.on('consent:change', () => {
+            if (Consent.has('personalization')) {
+                Theme.save();
+            }
+        });
+    }
+
+    /**
+     * Turn a button into the theme toggle
+     * @param {HTMLButtonElement} button - Toggle button
+     */
+    static mount(button) {
+        Theme.toggles.push(button);
+
+        button.addEventListener('click', () => {
+            Theme.cycle();
+        });
+
+        Theme.updateToggles();
+    }
+
+    /**
+     * Switch to the next theme in Config.THEME.CHOICES
+     */
+    static cycle() {
+        const choices = Config.THEME.CHOICES;
+        const next = choices[(choices.indexOf(Theme.choice) + 1) % choices.length];
+        Theme.set(next);
+    }
+
+    /**
+     * Choose a theme and remember it
+     * @param {string} choice - "system" or a theme name
+     * @returns {boolean} True if the choice is valid
+     */
+    static set(choice) {
+        if (!Config.THEME.CHOICES.includes(choice)) return false;
+
+        Theme.choice = choice;
+        Theme.save();
+
+        Theme.apply();
+        return true;
+    }
+
+    /**
+     * Save the choice (it only lasts for this page without consent)
+     */
+    static save() {
+        // Remembering the choice needs personalization consent
+        if (!Consent.has('personalization')) return;
+
+        if (Theme.choice === 'system') {
+            localStorage.removeItem(Config.THEME.STORAGE_KEY);
+        } else {
+            localStorage.setItem(Config.THEME.STORAGE_KEY, Theme.choice);
+        }
+    }
+
+    /**
+     * Load the saved choice
+     * @returns {string} Theme choice
+     */
+    static load() {
+        const saved = localStorage.getItem(Config.THEME.STORAGE_KEY);
+        return Config.THEME.CHOICES.includes(saved) ? saved : 'system';
+    }
+
+    /**
+     * Get the theme a choice stands for
+     * @param {string} choice - "system" or a theme name
+     * @returns {string} light, dark or high-contrast
+     */
+    static resolve(choice = Theme.choice) {
+        if (choice !== 'system') return choice;
+
+        if (window.matchMedia(Theme.QUERIES.contrast).matches) return 'high-contrast';
+        if (window.matchMedia(Theme.QUERIES.dark).matches) return 'dark';
+        return 'light';
+    }
+
+    /**
+     * Set the active theme on <html>
+     */
+    static apply() {
+        const theme = Theme.resolve();
+        const previous = Theme.current;
+        const root = document.documentElement;
+
+        root.dataset.theme = theme;
+        // Bootstrap's own components (forms, modals) follow its color mode
+        root.dataset.bsTheme = theme === 'dark' ? 'dark' : 'light';
+
+        Theme.current = theme;
+        Theme.updateToggles();
+
+        if (theme !== previous) {
+            EventBus.emit('theme:change', { theme, choice: Theme.choice, previous });
+        }
+    }
+
+    /**
+     * Show the current choice on every toggle
+     */
+    static updateToggles() {
+        const name = I18n.t(`theme.names.${Theme.choice}`);
+        const label = I18n.t('theme.label', { name });
+
+        Theme.toggles.forEach(button => {
+            button.dataset.themeChoice = Theme.choice;
+            button.setAttribute('aria-label', label);
+            button.title = label;
+
+            const icon = button.querySelector('i');
+            if (icon) {
+                icon.className = Theme.ICONS[Theme.choice];
+            }
+        });
+    }
+
+    /**
+     * Get the active theme
+     * @returns {string} light, dark or high-contrast
+     */
+    static get() {
+        return Theme.current;
+    }
+}
+
+// System settings behind the "system" choice
+Theme.QUERIES = {
+    dark: '(prefers-color-scheme: dark)',
+    contrast: '(prefers-contrast: more)'
+};
+
+Theme.ICONS = {
+    system: 'fas fa-desktop',
+    light: 'fas fa-sun',
+    dark: 'fas fa-moon',
+    'high-contrast': 'fas fa-circle-half-stroke'
+};
+
+Theme.choice = 'system';
+Theme.current = null;
+Theme.toggles = [];
+
+// Register module
+ModuleRegistry.register('theme', Theme, {
+    dependencies: ['config', 'event-bus', 'i18n', 'consent']
+});
+
+// Export module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Theme;
+}
\ No newline at end of file
@@ -0,0 +1,376 @@
+// Form Validation Module
+
+class FormValidator {
+    /**
+     * Initialize form validation
+     */
+    static init() {
+        FormValidator.forms = new WeakSet();
+        FormValidator.touched = new WeakSet();
+
+        // Re-word errors already on screen in the new language
+        EventBus.on('locale:change', () => {
+            document.querySelectorAll('[aria-invalid="true"]').forEach(field => {
+                if (FormValidator.isField(field)) {
+                    FormValidator.validateField(field);
+                }
+            });
+        });
+    }
+
+    /**
+     * Attach blur and input validation to a form
+     * @param {HTMLFormElement} form - Form to validate
+     */
+    static attach(form) {
+        if (FormValidator.forms.has(form)) return;
+        FormValidator.forms.add(form);
+
+        // A field counts as visited once focused, even if tabbed through without typing
+        form.addEventListener('focusin', (e) => {
+            if (FormValidator.isField(e.target)) {
+                FormValidator.touched.add(e.target);
+            }
+        });
+
+        // Validate visited fields when they lose focus (blur does not bubble)
+        form.addEventListener('focusout', (e) => {
+            if (FormValidator.isField(e.target) && FormValidator.touched.has(e.target)) {
+                FormValidator.validateField(e.target);
+            }
+        });
+
+        // Clear errors as soon as a field becomes valid
+        form.addEventListener('input', (e) => {
+            if (!FormValidator.isField(e.target)) return;
+
+            if (e.target.getAttribute('aria-invalid') === 'true') {
+                FormValidator.validateField(e.target);
+            }
+        });
+
+        // Re-check a field that must match this one
+        form.addEventListener('change', (e) => {
+            if (!e.target.id) return;
+
+            form.querySelectorAll(`[data-match="#${e.target.id}"]`).forEach(field => {
+                if (field.value !== '') {
+                    FormValidator.validateField(field);
+                }
+            });
+        });
+    }
+
+    /**
+     * Check if an element is a validatable field
+     * @param {HTMLElement} element - Element to check
+     * @returns {boolean} True for inputs, selects and textareas
+     */
+    static isField(element) {
+        return ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName) &&
+            !['submit', 'button', 'reset', 'hidden'].includes(element.type);
+    }
+
+    /**
+     * Validate every field in a form (or part of one)
+     * @param {HTMLElement} container - Form, fieldset or any element holding fields
+     * @returns {boolean} True if every field is valid
+     */
+    static validate(container) {
+        const fields = Array.from(container.querySelectorAll('input, select, textarea'))
+            .filter(field => FormValidator.isField(field) && !field.disabled);
+
+        const invalidFields = fields.filter(field => !FormValidator.validateField(field));
+
+        if (invalidFields.length > 0) {
+            FormValidator.focusField(invalidFields[0]);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Validate a single field and update its error state
+     * @param {HTMLElement} field - Field to validate
+     * @returns {boolean} True if the field is valid
+     */
+    static validateField(field) {
+        const error = FormValidator.getError(field);
+
+        if (error) {
+            FormValidator.showError(field, error);
+            return false;
+        }
+
+        FormValidator.clearError(field);
+        return true;
+    }
+
+    /**
+     * Get the first failing rule's message for a field
+     * @param {HTMLElement} field - Field to check
+     * @returns {string|null} Error message or null if valid
+     */
+    static getError(field) {
+        const value = field.type === 'checkbox' ? (field.checked ? field.value : '') : field.value.trim();
+        const rules = FormValidator.getRules(field);
+
+        for (const [name, param] of rules) {
+            const rule = FormValidator.rules[name];
+            if (!rule) {
+                console.warn(`Validation rule "${name}" not found`);
+                continue;
+            }
+
+            // Only "required" applies to empty fields
+            if (value === '' && name !== 'required') continue;
+
+            if (!rule.test(value, param, field)) {
+                const custom = field.dataset[`message${Helpers.capitalize(name)}`] || field.dataset.error;
+                return custom || rule.message(param, field);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Collect the rules declared on a field
+     * @param {HTMLElement} field - Field to read
+     * @returns {Array<Array>} [rule name, parameter] pairs in evaluation order
+     */
+    static getRules(field) {
+        const rules = [];
+        const declared = (field.dataset.validate || '').split(' ').filter(Boolean);
+        const attr = (dataName, nativeName) => {
+            if (field.dataset[dataName] !== undefined) return field.dataset[dataName];
+            return nativeName ? field.getAttribute(nativeName) : null;
+        };
+
+        if (field.required || declared.includes('required')) {
+            rules.push(['required']);
+        }
+
+        declared.filter(name => name !== 'required').forEach(name => {
+            rules.push([name]);
+        });
+
+        const minLength = attr('minLength', 'minlength');
+        if (minLength !== null) rules.push(['minLength', Number(minLength)]);
+
+        const maxLength = attr('maxLength', 'maxlength');
+        if (maxLength !== null) rules.push(['maxLength', Number(maxLength)]);
+
+        // Numeric ranges (date and time inputs use min/max differently)
+        const min = attr('min', 'min');
+        if (min !== null && min !== '' && !isNaN(Number(min))) rules.push(['min', Number(min)]);
+
+        const max = attr('max', 'max');
+        if (max !== null && max !== '' && !isNaN(Number(max))) rules.push(['max', Number(max)]);
+
+        const pattern = attr('pattern', 'pattern');
+        if (pattern) rules.push(['pattern', pattern]);
+
+        if (field.dataset.match) rules.push(['match', field.dataset.match]);
+
+        return rules;
+    }
+
+    /**
+     * Show an inline error under a field
+     * @param {HTMLElement} field - Invalid field
+     * @param {string} message - Error message
+     */
+    static showError(field, message) {
+        const feedback = FormValidator.getFeedbackElement(field);
+        feedback.textContent = message;
+
+        field.classList.add('is-invalid');
+        field.setAttribute('aria-invalid', 'true');
+        FormValidator.toggleDescribedBy(field, feedback.id, true);
+    }
+
+    /**
+     * Clear a field's inline error
+     * @param {HTMLElement} field - Valid field
+     */
+    static clearError(field) {
+        field.classList.remove('is-invalid');
+        field.removeAttribute('aria-invalid');
+
+        const feedbackId = FormValidator.getFeedbackId(field);
+        const feedback = document.getElementById(feedbackId);
+        if (feedback) {
+            feedback.textContent = '';
+        }
+
+        FormValidator.toggleDescribedBy(field, feedbackId, false);
+    }
+
+    /**
+     * Clear every error inside a container
+     * @param {HTMLElement} container - Form or fieldset
+     */
+    static reset(container) {
+        container.querySelectorAll('input, select, textarea').forEach(field => {
+            FormValidator.touched.delete(field);
+
+            if (field.getAttribute('aria-invalid') === 'true' || field.classList.contains('is-invalid')) {
+                FormValidator.clearError(field);
+            }
+        });
+    }
+
+    /**
+     * Get (or create) the feedback element for a field
+     * @param {HTMLElement} field - Field
+     * @returns {HTMLElement} Feedback element
+     */
+    static getFeedbackElement(field) {
+        const id = FormValidator.getFeedbackId(field);
+        let feedback = document.getElementById(id);
+
+        if (!feedback) {
+            feedback = document.createElement('div');
+            feedback.id = id;
+            feedback.className = 'invalid-feedback';
+            field.parentNode.appendChild(feedback);
+        }
+
+        return feedback;
+    }
+
+    /**
+     * Get the feedback element id for a field
+     * @param {HTMLElement} field - Field
+     * @returns {string} Feedback element id
+     */
+    static getFeedbackId(field) {
+        if (!field.id) {
+            field.id = Helpers.generateId();
+        }
+
+        return `${field.id}-error`;
+    }
+
+    /**
+     * Add or remove an id from a field's aria-describedby
+     * @param {HTMLElement} field - Field
+     * @param {string} id - Element id
+     * @param {boolean} add - Whether to add or remove
+     */
+    static toggleDescribedBy(field, id, add) {
+        const ids = (field.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+        const filtered = ids.filter(existing => existing !== id);
+
+        if (add) {
+            filtered.push(id);
+        }
+
+        if (filtered.length > 0) {
+            field.setAttribute('aria-describedby', filtered.join(' '));
+        } else {
+            field.removeAttribute('aria-describedby');
+        }
+    }
+
+    /**
+     * Bring an invalid field into view and focus it
+     * @param {HTMLElement} field - Field to focus
+     */
+    static focusField(field) {
+        // Dialogs scroll their own content when the field is focused
+        if (field.closest('.modal')) {
+            field.focus();
+            return;
+        }
+
+        Helpers.scrollTo(field, { offset: 120 });
+        field.focus({ preventScroll: true });
+    }
+
+    /**
+     * Add a custom validation rule
+     * @param {string} name - Rule name used in data-validate
+     * @param {Function} test - (value, param, field) => boolean
+     * @param {Function|string} message - Error message or (param, field) => message
+     */
+    static addRule(name, test, message) {
+        FormValidator.rules[name] = {
+            test,
+            message: typeof message === 'function' ? message : () => message
+        };
+    }
+}
+
+// Built-in rules
+FormValidator.rules = {
+    required: {
+        test: value => value !== '',
+        message: () => I18n.t('forms.errors.required')
+    },
+    email: {
+        test: value => /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value),
+        message: () => I18n.t('forms.errors.email')
+    },
+    mobile: {
+        // Indian mobile numbers, optionally prefixed with +91, 91 or 0
+        test: value => /^(?:\+?91|0)?[6-9]\d{9}$/.test(value.replace(/[\s-]/g, '')),
+        message: () => I18n.t('forms.errors.mobile')
+    },
+    pincode: {
+        test: value => /^[1-9]\d{5}$/.test(value.replace(/\s/g, '')),
+        message: () => I18n.t('forms.errors.pincode')
+    },
+    number: {
+        test: value => value !== '' && !isNaN(Number(value)),
+        message: () => I18n.t('forms.errors.number')
+    },
+    minLength: {
+        test: (value, min) => value.length >= min,
+        message: min => I18n.t('forms.errors.minLength', { min })
+    },
+    maxLength: {
+        test: (value, max) => value.length <= max,
+        message: max => I18n.t('forms.errors.maxLength', { max })
+    },
+    min: {
+        test: (value, min) => Number(value) >= min,
+        message: min => I18n.t('forms.errors.min', { min })
+    },
+    max: {
+        test: (value, max) => Number(value) <= max,
+        message: max => I18n.t('forms.errors.max', { max })
+    },
+    pattern: {
+        test: (value, pattern) => new RegExp(`^(?:${pattern})$`).test(value),
+        message: () => I18n.t('forms.errors.pattern')
+    },
+    match: {
+        test: (value, selector, field) => {
+            const other = (field.form || document).querySelector(selector);
+            return !other || other.value.trim() === value;
+        },
+        message: (selector, field) => {
+            const other = (field.form || document).querySelector(selector);
+            const label = other && other.labels && other.labels[0];
+            return label
+                ? I18n.t('forms.errors.match', { label: label.textContent.trim() })
+                : I18n.t('forms.errors.mismatch');
+        }
+    }
+};
+
+FormValidator.forms = new WeakSet();
+FormValidator.touched = new WeakSet();
+
+// Register module
+ModuleRegistry.register('validation', FormValidator, {
+    dependencies: ['helpers', 'event-bus', 'i18n']
+});
+
+// Export module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FormValidator;
+}
\ No newline at end of file
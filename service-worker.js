@@ -0,0 +1,161 @@
+// Service Worker - offline support
+
+// Bump the version whenever precached files change
+const CACHE_VERSION = 'v24';
+const CACHE_PREFIX = 'pune-mba-';
+const PRECACHE = `${CACHE_PREFIX}precache-${CACHE_VERSION}`;
+const RUNTIME = `${CACHE_PREFIX}runtime-${CACHE_VERSION}`;
+
+// Files needed to render the page offline
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './css/base/reset.css',
+    './css/base/typography.css',
+    './css/base/utilities.css',
+    './css/base/variables.css',
+    './css/base/themes.css',
+    './css/components/buttons.css',
+    './css/components/cards.css',
+    './css/components/consent.css',
+    './css/components/notification-center.css',
+    './css/components/navbar.css',
+    './css/components/sections.css',
+    './css/components/wizard.css',
+    './css/layout/grid.css',
+    './css/layout/responsive.css',
+    './css/main.css',
+    './css/sections/courses.css',
+    './css/sections/enquiry.css',
+    './css/sections/facilities.css',
+    './css/sections/footer.css',
+    './css/sections/header.css',
+    './css/sections/hero.css',
+    './css/sections/highlights.css',
+    './css/sections/overview.css',
+    './js/core/config.js',
+    './js/core/events.js',
+    './js/core/helpers.js',
+    './js/core/i18n.js',
+    './js/core/motion.js',
+    './js/core/scroll-scheduler.js',
+    './js/core/http.js',
+    './js/core/error-reporter.js',
+    './js/core/registry.js',
+    './js/core/event-bus.js',
+    './js/locales/en.js',
+    './js/locales/hi.js',
+    './js/locales/mr.js',
+    './js/main.js',
+    './js/modules/analytics.js',
+    './js/modules/reveal.js',
+    './js/modules/animations.js',
+    './js/modules/application.js',
+    './js/modules/consent.js',
+    './js/modules/counters.js',
+    './js/modules/stats.js',
+    './js/modules/courses.js',
+    './js/modules/course-filter.js',
+    './js/modules/course-detail.js',
+    './js/modules/course-compare.js',
+    './js/modules/navbar.js',
+    './js/modules/theme.js',
+    './js/modules/notifications.js',
+    './js/modules/notification-center.js',
+    './js/modules/router.js',
+    './js/modules/smooth-scroll.js',
+    './js/modules/validation.js',
+    './data/courses.json',
+    './data/stats.json',
+    './icons/favicon.svg'
+];
+
+/**
+ * Precache the app shell
+ */
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(PRECACHE).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+/**
+ * Remove caches left behind by previous versions
+ */
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith(CACHE_PREFIX) && key !== PRECACHE && key !== RUNTIME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Let the page activate a waiting worker
+ */
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * Serve requests
+ */
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
+    // Only GET requests can be cached
+    if (request.method !== 'GET') return;
+
+    // Page navigations: network first, cached page when offline
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request).catch(() => caches.match('./index.html'))
+        );
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    // Data files change without a release: network first, cached copy when offline
+    if (url.origin === self.location.origin && url.pathname.includes('/data/')) {
+        event.respondWith(
+            fetch(request)
+                .then(response => {
+                    if (response.ok) {
+                        const copy = response.clone();
+                        caches.open(PRECACHE).then(cache => cache.put(request, copy));
+                    }
+                    return response;
+                })
+                .catch(() => caches.match(request))
+        );
+        return;
+    }
+
+    // Same-origin assets: cache first
+    if (url.origin === self.location.origin) {
+        event.respondWith(
+            caches.match(request).then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    // Third-party assets (CDN styles, fonts): network first, runtime cache fallback
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok || response.type === 'opaque') {
+                    const copy = response.clone();
+                    caches.open(RUNTIME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(request))
+    );
+});
\ No newline at end of file